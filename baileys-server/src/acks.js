@@ -0,0 +1,77 @@
+const { findByWaMessageId, updateMessageStatus } = require('./queue');
+const { EVENTS, emitEvent } = require('./events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ack');
+
+// ============ ACUSES DE RECIBO ============
+
+// Orden de los estados: un acuse nunca hace retroceder a un mensaje
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+// proto.WebMessageInfo.Status: 0 ERROR, 1 PENDING, 2 SERVER_ACK, 3 DELIVERY_ACK, 4 READ, 5 PLAYED
+function statusFromAck(ack) {
+  if (ack === 0) return 'failed';
+  if (ack === 2) return 'sent';
+  if (ack === 3) return 'delivered';
+  if (ack === 4 || ack === 5) return 'read';
+  return null;
+}
+
+// Registrar un nuevo estado para el mensaje con ese id de WhatsApp
+function recordAck(session, waMessageId, status) {
+  const entry = findByWaMessageId(session.id, waMessageId);
+  if (!entry || !status) return;
+
+  const isFailure = status === 'failed';
+  const currentRank = STATUS_RANK[entry.status] ?? 0;
+  if (isFailure) {
+    // Un ERROR tardío no deshace una entrega ya confirmada
+    if (entry.status === 'failed' || currentRank >= STATUS_RANK.delivered) return;
+  } else if ((STATUS_RANK[status] ?? 0) <= currentRank) {
+    return;
+  }
+
+  const at = new Date().toISOString();
+  const fields = { acks: [...(entry.acks || []), { status, at }] };
+  if (status === 'delivered') fields.deliveredAt = at;
+  if (status === 'read') {
+    fields.readAt = at;
+    fields.deliveredAt = entry.deliveredAt || at;
+  }
+  if (isFailure) fields.lastError = 'WhatsApp reported an error for this message';
+
+  updateMessageStatus(entry.id, status, fields);
+  log.info({ sessionId: session.id }, `Message ${entry.id} is now ${status}`);
+
+  // Los webhooks suscritos a ack.updated reciben el cambio
+  emitEvent(EVENTS.ACK_UPDATED, session, {
+    messageId: entry.id,
+    waMessageId: entry.waMessageId,
+    phone: entry.phone,
+    status: entry.status,
+  });
+}
+
+// Evento messages.update: cambios de estado de mensajes 1 a 1
+function handleMessagesUpdate(session, updates) {
+  for (const { key, update } of updates) {
+    if (!key.fromMe || update?.status === undefined) continue;
+    recordAck(session, key.id, statusFromAck(update.status));
+  }
+}
+
+// Evento message-receipt.update: recibos por destinatario
+function handleReceiptUpdate(session, receipts) {
+  for (const { key, receipt } of receipts) {
+    if (!key.fromMe) continue;
+
+    if (receipt.readTimestamp || receipt.playedTimestamp) {
+      recordAck(session, key.id, 'read');
+    } else if (receipt.receiptTimestamp) {
+      recordAck(session, key.id, 'delivered');
+    }
+  }
+}
+
+module.exports = { handleMessagesUpdate, handleReceiptUpdate };
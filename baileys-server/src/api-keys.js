@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+// ============ API KEYS ============
+// Llaves con permisos (scopes) y límite de peticiones por minuto. Solo se guarda el
+// hash SHA-256 de cada llave; el valor completo se muestra una vez al crearla.
+
+const KEYS_FILE = 'api-keys.json';
+// `admin` incluye todos los demás
+const SCOPES = ['send', 'read', 'session', 'admin'];
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10) || 120;
+// lastUsedAt se guarda en disco como mucho cada tanto
+const LAST_USED_SAVE_INTERVAL = 30 * 1000;
+
+let keys = null;
+let lastUsedTimer = null;
+// Ventana de rate limit por llave: id -> { windowStart, count }
+const windows = new Map();
+
+function loadKeys() {
+  if (!keys) keys = readJson(KEYS_FILE, []);
+  return keys;
+}
+
+function saveKeys() {
+  writeJson(KEYS_FILE, loadKeys());
+}
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const invalid = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (invalid.length) {
+    return `Unknown scopes: ${invalid.join(', ')} (valid: ${SCOPES.join(', ')})`;
+  }
+  return null;
+}
+
+// Crear una llave y devolver { key, record }; `key` no se vuelve a mostrar
+function createApiKey({ name, scopes, rateLimit = DEFAULT_RATE_LIMIT }) {
+  const key = `wak_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: key.slice(0, 8),
+    hash: hashKey(key),
+    scopes,
+    rateLimit,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  loadKeys().push(record);
+  saveKeys();
+  log.info(`API key created: ${record.id} (${name}, scopes: ${scopes.join(', ')})`);
+  return { key, record };
+}
+
+function listApiKeys() {
+  return loadKeys();
+}
+
+function revokeApiKey(id) {
+  const record = loadKeys().find((entry) => entry.id === id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys();
+    log.info(`API key revoked: ${id}`);
+  }
+  return record;
+}
+
+// Buscar una llave vigente por su valor
+function findApiKey(value) {
+  const hash = Buffer.from(hashKey(value));
+  return loadKeys().find((record) => {
+    const stored = Buffer.from(record.hash);
+    return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+  }) || null;
+}
+
+function touchApiKey(record) {
+  record.lastUsedAt = new Date().toISOString();
+  if (!lastUsedTimer) {
+    lastUsedTimer = setTimeout(() => {
+      lastUsedTimer = null;
+      saveKeys();
+    }, LAST_USED_SAVE_INTERVAL);
+  }
+}
+
+// Contar una petición; devuelve { allowed, limit, remaining, resetAt }
+function consumeRateLimit(record) {
+  const now = Date.now();
+  let window = windows.get(record.id);
+
+  if (!window || now - window.windowStart >= 60 * 1000) {
+    window = { windowStart: now, count: 0 };
+    windows.set(record.id, window);
+  }
+
+  window.count++;
+  return {
+    allowed: window.count <= record.rateLimit,
+    limit: record.rateLimit,
+    remaining: Math.max(record.rateLimit - window.count, 0),
+    resetAt: window.windowStart + 60 * 1000,
+  };
+}
+
+// Vista pública (sin hash)
+function getApiKeyInfo(record) {
+  const { hash, ...info } = record;
+  return info;
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  validateScopes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  touchApiKey,
+  consumeRateLimit,
+  getApiKeyInfo,
+};
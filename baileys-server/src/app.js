@@ -0,0 +1,104 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { SERVER_NAME, DEFAULT_SESSION_ID } = require('./config');
+const { authenticate, tokenFromQuery, requireScope } = require('./auth');
+const { listSessions, getSession } = require('./sessions');
+const { getLocalMedia, getMediaUrl, verifyMediaToken } = require('./media-store');
+const { getMetrics } = require('./metrics');
+const webhooksRouter = require('./routes/webhooks');
+const apiKeysRouter = require('./routes/api-keys');
+const eventsRouter = require('./routes/events');
+const rulesRouter = require('./routes/rules');
+const { router: sessionsRouter, useDefaultSession } = require('./routes/sessions');
+const sessionRouter = require('./routes/session');
+
+// ============ APLICACIÓN HTTP ============
+// Solo arma las rutas; index.js la pone a escuchar y arranca los workers
+// (así las pruebas pueden usarla sin conectar WhatsApp).
+
+const app = express();
+
+// Middleware
+app.use(cors());
+// Límite amplio para permitir media en base64
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
+
+// ============ RUTAS ============
+
+app.get('/health', (req, res) => {
+  const defaultSession = getSession(DEFAULT_SESSION_ID);
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    whatsapp: defaultSession?.connectionStatus || 'disconnected',
+    node: process.version,
+    reconnectAttempts: defaultSession?.reconnectAttempts || 0,
+    serverName: SERVER_NAME,
+    persistenceEnabled: true,
+    sessions: listSessions().map((session) => ({ id: session.id, status: session.connectionStatus })),
+  });
+});
+
+// Métricas en formato Prometheus (el scraper se autentica con una API key de lectura)
+app.get('/metrics', authenticate, requireScope('read'), async (req, res) => {
+  try {
+    const { contentType, body } = await getMetrics();
+    res.type(contentType).send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Media recibida (almacén local). Requiere la firma de la URL generada por el servidor.
+app.get('/media/:id', (req, res) => {
+  const { expires, token } = req.query;
+  if (!verifyMediaToken(req.params.id, expires, token)) {
+    return res.status(403).json({ error: 'Invalid or expired media link' });
+  }
+
+  const media = getLocalMedia(req.params.id);
+  if (!media) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  res.type(media.mimetype || 'application/octet-stream');
+  if (media.fileName) {
+    res.attachment(media.fileName);
+  }
+  res.sendFile(path.resolve(media.path));
+});
+
+// Generar una nueva URL firmada para un archivo recibido
+app.get('/api/media/:id/url', authenticate, requireScope('read'), async (req, res) => {
+  try {
+    const url = await getMediaUrl(req.params.id);
+    if (!url) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ id: req.params.id, url });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Webhooks salientes y su log de entregas
+app.use('/api/webhooks', authenticate, requireScope('admin'), webhooksRouter);
+
+// Reglas de respuesta locales
+app.use('/api/rules', authenticate, requireScope('admin'), rulesRouter);
+
+// Gestión de API keys
+app.use('/api/keys', authenticate, requireScope('admin'), apiKeysRouter);
+
+// Stream de eventos en tiempo real (SSE)
+app.use('/api/events', tokenFromQuery, authenticate, eventsRouter);
+
+// Gestión de sesiones (/api/sessions, /api/sessions/:sessionId/...)
+app.use('/api/sessions', authenticate, sessionsRouter);
+
+// Rutas heredadas: /api/status, /api/send, etc. operan sobre la sesión por defecto
+app.use('/api', authenticate, useDefaultSession, sessionRouter);
+
+module.exports = app;
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { API_SECRET } = require('./config');
+const { findApiKey, touchApiKey, consumeRateLimit } = require('./api-keys');
+
+// API_SECRET sigue funcionando como llave maestra con todos los permisos
+const MASTER_KEY = { id: 'master', name: 'API_SECRET', scopes: ['admin'] };
+
+function isMasterSecret(token) {
+  const expected = Buffer.from(API_SECRET);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Middleware de autenticación
+const authenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const token = authHeader.slice('Bearer '.length);
+
+  if (isMasterSecret(token)) {
+    req.apiKey = MASTER_KEY;
+    return next();
+  }
+
+  const record = findApiKey(token);
+  if (!record || record.revokedAt) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const limit = consumeRateLimit(record);
+  res.set('X-RateLimit-Limit', String(limit.limit));
+  res.set('X-RateLimit-Remaining', String(limit.remaining));
+  if (!limit.allowed) {
+    res.set('Retry-After', String(Math.ceil((limit.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: 'Rate limit exceeded' });
+  }
+
+  touchApiKey(record);
+  req.apiKey = record;
+  next();
+};
+
+// EventSource no permite headers: las rutas de streaming aceptan ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Middleware de permisos; `admin` pasa siempre
+const requireScope = (scope) => (req, res, next) => {
+  const scopes = req.apiKey?.scopes || [];
+  if (!scopes.includes('admin') && !scopes.includes(scope)) {
+    return res.status(403).json({ error: `Missing scope: ${scope}` });
+  }
+  next();
+};
+
+module.exports = { authenticate, tokenFromQuery, requireScope };
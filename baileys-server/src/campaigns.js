@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { normalizePhone } = require('./phone');
+const { enqueueMessage, getQueuedMessage, cancelQueuedMessage } = require('./queue');
+const { isConnected } = require('./whatsapp');
+const { createLogger } = require('./logger');
+
+const log = createLogger('campaign');
+
+// ============ CAMPAÑAS (ENVÍO MASIVO) ============
+// Una campaña renderiza una plantilla por destinatario y pasa los mensajes a la cola
+// de a uno, cada `intervalMs`, solo mientras la sesión está conectada.
+
+const CAMPAIGNS_FILE = 'campaigns.json';
+const CAMPAIGN_WORKER_INTERVAL = 1000;
+const DEFAULT_INTERVAL = parseInt(process.env.CAMPAIGN_DEFAULT_INTERVAL_MS, 10) || 10000;
+const MIN_INTERVAL = 1000;
+const MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS, 10) || 10000;
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+// Estados en los que la campaña ya no cambia
+const FINAL_STATUSES = ['completed', 'cancelled'];
+
+let campaigns = null;
+
+function loadCampaigns() {
+  if (!campaigns) campaigns = readJson(CAMPAIGNS_FILE, []);
+  return campaigns;
+}
+
+function saveCampaigns() {
+  writeJson(CAMPAIGNS_FILE, loadCampaigns());
+}
+
+// Reemplazar {{variable}}; devuelve { text, missing }
+function renderTemplate(template, variables) {
+  const missing = new Set();
+  const text = template.replace(PLACEHOLDER, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      missing.add(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text, missing: [...missing] };
+}
+
+// Validar y preparar los destinatarios; devuelve { recipients } o { error, details }
+function prepareRecipients(template, recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return { error: 'recipients must be a non-empty array' };
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    return { error: `Too many recipients (max ${MAX_RECIPIENTS})` };
+  }
+
+  const seen = new Set();
+  const prepared = [];
+  const details = [];
+
+  recipients.forEach((recipient, index) => {
+    const phone = typeof recipient === 'string' ? recipient : recipient?.phone;
+    if (!phone) {
+      details.push({ index, error: 'phone required' });
+      return;
+    }
+
+    let normalized;
+    try {
+      normalized = normalizePhone(phone);
+    } catch (error) {
+      details.push({ index, phone, error: error.message });
+      return;
+    }
+    if (seen.has(normalized)) return; // Duplicados se ignoran
+    seen.add(normalized);
+
+    const variables = { phone, ...(recipient.variables || {}) };
+    const { text, missing } = renderTemplate(template, variables);
+    if (missing.length) {
+      details.push({ index, phone, error: `Missing variables: ${missing.join(', ')}` });
+      return;
+    }
+
+    prepared.push({ phone: normalized, variables, text, status: 'pending', messageId: null, enqueuedAt: null });
+  });
+
+  if (details.length) {
+    return { error: 'Some recipients are invalid', details };
+  }
+  return { recipients: prepared };
+}
+
+function createCampaign(session, { name, template, recipients, intervalMs = DEFAULT_INTERVAL, startAt = null }) {
+  const now = new Date().toISOString();
+  const campaign = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    name: name || 'Campaña',
+    template,
+    intervalMs: Math.max(intervalMs, MIN_INTERVAL),
+    status: startAt && new Date(startAt) > new Date() ? 'scheduled' : 'running',
+    startAt: startAt || now,
+    nextSendAt: startAt || now,
+    recipients,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  loadCampaigns().push(campaign);
+  saveCampaigns();
+  log.info({ sessionId: session.id }, `Campaign ${campaign.id} created with ${recipients.length} recipient(s)`);
+  return campaign;
+}
+
+function getCampaign(session, id) {
+  return loadCampaigns().find((campaign) => campaign.id === id && campaign.sessionId === session.id) || null;
+}
+
+function listCampaigns(session) {
+  return loadCampaigns().filter((campaign) => campaign.sessionId === session.id);
+}
+
+function touch(campaign, status) {
+  campaign.status = status;
+  campaign.updatedAt = new Date().toISOString();
+  saveCampaigns();
+  return campaign;
+}
+
+function pauseCampaign(campaign) {
+  if (!['running', 'scheduled'].includes(campaign.status)) return null;
+  return touch(campaign, 'paused');
+}
+
+function resumeCampaign(campaign) {
+  if (campaign.status !== 'paused') return null;
+  campaign.nextSendAt = new Date().toISOString();
+  return touch(campaign, 'running');
+}
+
+// Cancelar: lo que no salió de la cola tampoco se envía
+function cancelCampaign(campaign) {
+  if (FINAL_STATUSES.includes(campaign.status)) return null;
+
+  for (const recipient of campaign.recipients) {
+    if (recipient.status === 'pending') {
+      recipient.status = 'cancelled';
+    } else if (recipient.messageId && cancelQueuedMessage(recipient.messageId)) {
+      recipient.status = 'cancelled';
+    }
+  }
+  return touch(campaign, 'cancelled');
+}
+
+// Estado de un destinatario: el de su mensaje en la cola, si ya se encoló
+function recipientStatus(recipient) {
+  if (!recipient.messageId) return recipient.status;
+  return getQueuedMessage(recipient.messageId)?.status || recipient.status;
+}
+
+// Resultado por destinatario y progreso general
+function getCampaignInfo(campaign, { includeRecipients = false } = {}) {
+  const counts = { pending: 0, queued: 0, sent: 0, delivered: 0, read: 0, failed: 0, cancelled: 0 };
+  const recipients = campaign.recipients.map((recipient) => {
+    const status = recipientStatus(recipient);
+    counts[status] = (counts[status] || 0) + 1;
+    return { phone: recipient.phone, status, messageId: recipient.messageId, enqueuedAt: recipient.enqueuedAt };
+  });
+
+  const total = recipients.length;
+  const done = counts.sent + counts.delivered + counts.read + counts.failed + counts.cancelled;
+
+  return {
+    id: campaign.id,
+    sessionId: campaign.sessionId,
+    name: campaign.name,
+    template: campaign.template,
+    status: campaign.status,
+    intervalMs: campaign.intervalMs,
+    startAt: campaign.startAt,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+    completedAt: campaign.completedAt,
+    progress: {
+      total,
+      ...counts,
+      percent: total ? Math.round((done / total) * 100) : 100,
+    },
+    ...(includeRecipients && { recipients }),
+  };
+}
+
+// Pasar a la cola el siguiente destinatario de cada campaña en curso
+function tickCampaigns(getSession) {
+  const now = Date.now();
+
+  for (const campaign of loadCampaigns()) {
+    if (campaign.status === 'scheduled' && new Date(campaign.startAt).getTime() <= now) {
+      touch(campaign, 'running');
+    }
+    if (campaign.status !== 'running' || new Date(campaign.nextSendAt).getTime() > now) continue;
+
+    const session = getSession(campaign.sessionId);
+    // Sin conexión no se avanza, así la campaña no se acumula en la cola
+    if (!session || !isConnected(session)) continue;
+
+    const recipient = campaign.recipients.find((entry) => entry.status === 'pending');
+    if (!recipient) {
+      campaign.completedAt = new Date().toISOString();
+      touch(campaign, 'completed');
+      log.info({ sessionId: campaign.sessionId }, `Campaign ${campaign.id} completed`);
+      continue;
+    }
+
+    const entry = enqueueMessage(session, recipient.phone, { text: recipient.text });
+    recipient.messageId = entry.id;
+    recipient.status = 'queued';
+    recipient.enqueuedAt = new Date().toISOString();
+    campaign.nextSendAt = new Date(now + campaign.intervalMs).toISOString();
+    campaign.updatedAt = recipient.enqueuedAt;
+    saveCampaigns();
+  }
+}
+
+function startCampaignWorker(getSession) {
+  setInterval(() => {
+    try {
+      tickCampaigns(getSession);
+    } catch (error) {
+      log.error({ err: error }, 'Error processing campaigns');
+    }
+  }, CAMPAIGN_WORKER_INTERVAL);
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  renderTemplate,
+  prepareRecipients,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  getCampaignInfo,
+  startCampaignWorker,
+};
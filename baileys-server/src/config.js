@@ -0,0 +1,37 @@
+// ============ CONFIGURACIÓN ============
+
+const PORT = process.env.PORT || 3001;
+const API_SECRET = process.env.API_SECRET || 'dev-secret-key';
+// En producción no se permite arrancar con el secreto de desarrollo
+const USING_DEFAULT_SECRET = !process.env.API_SECRET;
+const EDGE_FUNCTION_URL = process.env.EDGE_FUNCTION_URL || 'https://ewiayikxrcvjvcjqqjvj.supabase.co/functions/v1/baileys-process-message';
+const CREDENTIALS_URL = process.env.CREDENTIALS_URL || 'https://ewiayikxrcvjvcjqqjvj.supabase.co/functions/v1/baileys-credentials';
+const SERVER_NAME = process.env.SERVER_NAME || 'default';
+
+// Carpeta de la sesión por defecto (se mantiene para no romper instalaciones existentes)
+const AUTH_FOLDER = './baileys_auth_info';
+// Carpeta donde vive la autenticación de las sesiones adicionales
+const SESSIONS_FOLDER = process.env.SESSIONS_FOLDER || './baileys_sessions';
+// Carpeta para datos propios del servidor (registro de sesiones, colas, etc.)
+const DATA_FOLDER = process.env.DATA_FOLDER || './data';
+
+// Reenviar mensajes de grupos al procesador (desactivado por defecto)
+const GROUP_MESSAGES_ENABLED = process.env.GROUP_MESSAGES_ENABLED === 'true';
+
+const DEFAULT_SESSION_ID = 'default';
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+module.exports = {
+  PORT,
+  API_SECRET,
+  USING_DEFAULT_SECRET,
+  EDGE_FUNCTION_URL,
+  CREDENTIALS_URL,
+  SERVER_NAME,
+  AUTH_FOLDER,
+  SESSIONS_FOLDER,
+  DATA_FOLDER,
+  GROUP_MESSAGES_ENABLED,
+  DEFAULT_SESSION_ID,
+  MAX_RECONNECT_ATTEMPTS,
+};
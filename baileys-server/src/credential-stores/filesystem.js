@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const log = createLogger('credentials');
+
+// ============ ALMACÉN DE CREDENCIALES: ARCHIVOS LOCALES ============
+// Un archivo `<key>.json` por llave en la carpeta de la sesión
+// (mismo formato que useMultiFileAuthState, así las carpetas existentes siguen sirviendo).
+
+const filesystemStore = {
+  name: 'filesystem',
+
+  async read(session, key) {
+    const filePath = path.join(session.authFolder, `${key}.json`);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  },
+
+  async write(session, entries) {
+    fs.mkdirSync(session.authFolder, { recursive: true });
+
+    for (const [key, value] of entries) {
+      const filePath = path.join(session.authFolder, `${key}.json`);
+      if (value === null) {
+        fs.rmSync(filePath, { force: true });
+      } else {
+        fs.writeFileSync(filePath, value);
+      }
+    }
+  },
+
+  async readAll(session) {
+    const all = {};
+    if (!fs.existsSync(session.authFolder)) return all;
+
+    for (const file of fs.readdirSync(session.authFolder)) {
+      if (file.endsWith('.json')) {
+        all[file.replace(/\.json$/, '')] = fs.readFileSync(path.join(session.authFolder, file), 'utf-8');
+      }
+    }
+    return all;
+  },
+
+  async clear(session) {
+    if (fs.existsSync(session.authFolder)) {
+      fs.rmSync(session.authFolder, { recursive: true, force: true });
+      log.info({ sessionId: session.id }, 'Local session cleared');
+    }
+  },
+};
+
+module.exports = filesystemStore;
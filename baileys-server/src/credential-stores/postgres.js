@@ -0,0 +1,84 @@
+const { createLogger } = require('../logger');
+
+const log = createLogger('credentials');
+
+// ============ ALMACÉN DE CREDENCIALES: POSTGRES ============
+// Una fila por llave: (session, key) -> value. Cada lote se escribe en una transacción.
+
+const TABLE = process.env.CREDENTIALS_PG_TABLE || 'baileys_auth';
+
+if (!/^[a-zA-Z_][a-zA-Z0-9_.]*$/.test(TABLE)) {
+  throw new Error(`Invalid CREDENTIALS_PG_TABLE: ${TABLE}`);
+}
+
+let pool = null;
+let ready = null;
+
+// Conexión y tabla se crean en el primer uso
+function getPool() {
+  if (!pool) {
+    const { Pool } = require('pg');
+    pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    ready = pool.query(`
+      CREATE TABLE IF NOT EXISTS ${TABLE} (
+        session TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (session, key)
+      )
+    `);
+  }
+  return ready.then(() => pool);
+}
+
+const postgresStore = {
+  name: 'postgres',
+
+  async read(session, key) {
+    const db = await getPool();
+    const { rows } = await db.query(`SELECT value FROM ${TABLE} WHERE session = $1 AND key = $2`, [session.serverName, key]);
+    return rows[0]?.value ?? null;
+  },
+
+  async write(session, entries) {
+    const upserts = entries.filter(([, value]) => value !== null);
+    const deletes = entries.filter(([, value]) => value === null).map(([key]) => key);
+    const client = await (await getPool()).connect();
+
+    try {
+      await client.query('BEGIN');
+      if (upserts.length) {
+        await client.query(
+          `INSERT INTO ${TABLE} (session, key, value)
+           SELECT $1, k, v FROM unnest($2::text[], $3::text[]) AS t(k, v)
+           ON CONFLICT (session, key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`,
+          [session.serverName, upserts.map(([key]) => key), upserts.map(([, value]) => value)],
+        );
+      }
+      if (deletes.length) {
+        await client.query(`DELETE FROM ${TABLE} WHERE session = $1 AND key = ANY($2::text[])`, [session.serverName, deletes]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async readAll(session) {
+    const db = await getPool();
+    const { rows } = await db.query(`SELECT key, value FROM ${TABLE} WHERE session = $1`, [session.serverName]);
+    return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+  },
+
+  async clear(session) {
+    const db = await getPool();
+    await db.query(`DELETE FROM ${TABLE} WHERE session = $1`, [session.serverName]);
+    log.info({ sessionId: session.id }, 'Postgres credentials cleared');
+  },
+};
+
+module.exports = postgresStore;
@@ -0,0 +1,51 @@
+const { createLogger } = require('../logger');
+
+const log = createLogger('credentials');
+
+// ============ ALMACÉN DE CREDENCIALES: REDIS ============
+// Un hash por sesión; cada lote se aplica en un solo MULTI.
+
+const PREFIX = process.env.CREDENTIALS_REDIS_PREFIX || 'baileys:auth:';
+
+let redis = null;
+
+function getRedis() {
+  if (!redis) {
+    const Redis = require('ioredis');
+    redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return redis;
+}
+
+function hashKey(session) {
+  return `${PREFIX}${session.serverName}`;
+}
+
+const redisStore = {
+  name: 'redis',
+
+  async read(session, key) {
+    return getRedis().hget(hashKey(session), key);
+  },
+
+  async write(session, entries) {
+    const upserts = entries.filter(([, value]) => value !== null);
+    const deletes = entries.filter(([, value]) => value === null).map(([key]) => key);
+    const multi = getRedis().multi();
+
+    if (upserts.length) multi.hset(hashKey(session), Object.fromEntries(upserts));
+    if (deletes.length) multi.hdel(hashKey(session), ...deletes);
+    await multi.exec();
+  },
+
+  async readAll(session) {
+    return getRedis().hgetall(hashKey(session));
+  },
+
+  async clear(session) {
+    await getRedis().del(hashKey(session));
+    log.info({ sessionId: session.id }, 'Redis credentials cleared');
+  },
+};
+
+module.exports = redisStore;
@@ -0,0 +1,71 @@
+const { getS3 } = require('../s3');
+const { createLogger } = require('../logger');
+
+const log = createLogger('credentials');
+
+// ============ ALMACÉN DE CREDENCIALES: S3 ============
+// Un objeto por llave en `<prefijo><sesión>/<key>.json`.
+
+const BUCKET = process.env.CREDENTIALS_S3_BUCKET || process.env.S3_BUCKET;
+const PREFIX = process.env.CREDENTIALS_S3_PREFIX || 'baileys-auth/';
+
+function objectKey(session, key) {
+  return `${PREFIX}${session.serverName}/${key}.json`;
+}
+
+async function listKeys(session) {
+  const { client, ListObjectsV2Command } = getS3();
+  const prefix = `${PREFIX}${session.serverName}/`;
+  const keys = [];
+  let ContinuationToken;
+
+  do {
+    const page = await client.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix: prefix, ContinuationToken }));
+    keys.push(...(page.Contents || []).map((object) => object.Key));
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return keys;
+}
+
+const s3Store = {
+  name: 's3',
+
+  async read(session, key) {
+    const { client, GetObjectCommand } = getS3();
+    try {
+      const object = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: objectKey(session, key) }));
+      return object.Body.transformToString();
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  },
+
+  async write(session, entries) {
+    const { client, PutObjectCommand, DeleteObjectCommand } = getS3();
+
+    await Promise.all(entries.map(([key, value]) => client.send(value === null
+      ? new DeleteObjectCommand({ Bucket: BUCKET, Key: objectKey(session, key) })
+      : new PutObjectCommand({ Bucket: BUCKET, Key: objectKey(session, key), Body: value, ContentType: 'application/json' }))));
+  },
+
+  async readAll(session) {
+    const prefix = `${PREFIX}${session.serverName}/`;
+    const all = {};
+
+    for (const objectName of await listKeys(session)) {
+      const key = objectName.slice(prefix.length).replace(/\.json$/, '');
+      all[key] = await this.read(session, key);
+    }
+    return all;
+  },
+
+  async clear(session) {
+    const { client, DeleteObjectCommand } = getS3();
+    await Promise.all((await listKeys(session)).map((Key) => client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key }))));
+    log.info({ sessionId: session.id }, 'S3 credentials cleared');
+  },
+};
+
+module.exports = s3Store;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { API_SECRET, CREDENTIALS_URL } = require('../config');
+const { isEncrypted } = require('../encryption');
+const filesystemStore = require('./filesystem');
+const { createLogger } = require('../logger');
+const { recordCredentialSync } = require('../metrics');
+
+const log = createLogger('credentials');
+
+// ============ ALMACÉN DE CREDENCIALES: LOCAL + SUPABASE ============
+// Trabaja sobre los archivos locales y guarda una copia completa en la edge function
+// de credenciales. La copia se sube agrupada (un POST tras una ráfaga de cambios)
+// en lugar de en cada creds.update.
+
+const MIRROR_DELAY = parseInt(process.env.CREDENTIALS_MIRROR_DELAY, 10) || 5000;
+
+// Timers de subida pendientes por sesión
+const mirrorTimers = new Map();
+
+async function callCredentials(body) {
+  const response = await fetch(CREDENTIALS_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${API_SECRET}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+}
+
+// Guardar credenciales en Supabase
+async function saveCredentialsToSupabase(session, authState) {
+  try {
+    log.info({ sessionId: session.id }, 'Saving credentials to Supabase...');
+    
+    const data = await callCredentials({
+      action: 'save',
+      server_name: session.serverName,
+      auth_state: authState,
+      connected_phone: session.connectedPhone,
+    });
+    
+    recordCredentialSync(session, 'supabase', 'mirror', !!data.success);
+    if (data.success) {
+      log.info({ sessionId: session.id }, 'Credentials saved to Supabase');
+    } else {
+      log.error({ sessionId: session.id }, `Failed to save credentials: ${data.error}`);
+    }
+    
+    return data.success;
+  } catch (error) {
+    recordCredentialSync(session, 'supabase', 'mirror', false);
+    log.error({ sessionId: session.id, err: error }, 'Error saving to Supabase');
+    return false;
+  }
+}
+
+// Cargar credenciales desde Supabase
+async function loadCredentialsFromSupabase(session) {
+  try {
+    log.info({ sessionId: session.id }, 'Loading credentials from Supabase...');
+    
+    const data = await callCredentials({
+      action: 'get',
+      server_name: session.serverName,
+    });
+    
+    if (data.success && data.exists) {
+      log.info({ sessionId: session.id, phone: data.connected_phone }, 'Credentials loaded from Supabase');
+      return data.auth_state;
+    }
+    
+    log.info({ sessionId: session.id }, 'No credentials in Supabase, starting fresh');
+    return null;
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, 'Error loading from Supabase');
+    return null;
+  }
+}
+
+// Eliminar credenciales de Supabase
+async function deleteCredentialsFromSupabase(session) {
+  try {
+    log.info({ sessionId: session.id }, 'Deleting credentials from Supabase...');
+    
+    const data = await callCredentials({
+      action: 'delete',
+      server_name: session.serverName,
+    });
+    log.info({ sessionId: session.id }, `Credentials deleted: ${data.success}`);
+    return data.success;
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, 'Error deleting from Supabase');
+    return false;
+  }
+}
+
+// Subir la carpeta local completa (Supabase guarda el estado como un solo objeto).
+// Los valores cifrados se suben como texto, sin descifrar.
+async function mirror(session) {
+  const files = await filesystemStore.readAll(session);
+  const authState = {};
+  for (const [key, value] of Object.entries(files)) {
+    authState[key] = isEncrypted(value) ? value : JSON.parse(value, BufferJSON.reviver);
+  }
+  return saveCredentialsToSupabase(session, authState);
+}
+
+function scheduleMirror(session) {
+  clearTimeout(mirrorTimers.get(session.id));
+  mirrorTimers.set(session.id, setTimeout(() => {
+    mirrorTimers.delete(session.id);
+    mirror(session).catch((err) => log.error({ sessionId: session.id, err }, 'Error mirroring credentials'));
+  }, MIRROR_DELAY));
+}
+
+const supabaseStore = {
+  name: 'supabase',
+
+  // Si hay estado en Supabase y no hay local, restaurar
+  async init(session) {
+    const supabaseState = await loadCredentialsFromSupabase(session);
+    
+    if (supabaseState && !fs.existsSync(session.authFolder)) {
+      log.info({ sessionId: session.id }, 'Restoring credentials from Supabase to local...');
+      const entries = Object.entries(supabaseState)
+        .map(([key, value]) => [key, isEncrypted(value) ? value : JSON.stringify(value, BufferJSON.replacer)]);
+      await filesystemStore.write(session, entries);
+      log.info({ sessionId: session.id }, 'Credentials restored from Supabase');
+    }
+  },
+
+  read: filesystemStore.read,
+  readAll: filesystemStore.readAll,
+
+  async write(session, entries) {
+    await filesystemStore.write(session, entries);
+    scheduleMirror(session);
+  },
+
+  // ¿Hay una subida agrupada esperando su timer?
+  hasPendingSync(session) {
+    return mirrorTimers.has(session.id);
+  },
+
+  // Forzar la subida inmediata
+  async sync(session) {
+    clearTimeout(mirrorTimers.get(session.id));
+    mirrorTimers.delete(session.id);
+    return mirror(session);
+  },
+
+  async clear(session) {
+    clearTimeout(mirrorTimers.get(session.id));
+    mirrorTimers.delete(session.id);
+    await filesystemStore.clear(session);
+    await deleteCredentialsFromSupabase(session);
+  },
+};
+
+module.exports = supabaseStore;
@@ -0,0 +1,244 @@
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const { encryptValue, decryptValue, needsReencryption } = require('./encryption');
+const { createLogger } = require('./logger');
+const { recordCredentialSync } = require('./metrics');
+
+const log = createLogger('credentials');
+
+// ============ PERSISTENCIA DE CREDENCIALES ============
+// El auth state de Baileys se guarda llave por llave en un almacén intercambiable
+// (CREDENTIALS_STORE). Los cambios de llaves de señal se agrupan y se escriben en
+// lote tras CREDENTIALS_FLUSH_DELAY ms, en lugar de reescribir todo en cada cambio.
+// Con CREDENTIALS_ENCRYPTION_KEY cada valor se cifra antes de llegar al almacén.
+
+const CREDENTIALS_STORE = process.env.CREDENTIALS_STORE || 'supabase';
+const FLUSH_DELAY = parseInt(process.env.CREDENTIALS_FLUSH_DELAY, 10) || 1000;
+
+// Los almacenes se cargan solo si se usan (cada uno trae su propia dependencia);
+// registerCredentialsStore agrega otros ya construidos
+const STORES = {
+  filesystem: './credential-stores/filesystem',
+  supabase: './credential-stores/supabase',
+  postgres: './credential-stores/postgres',
+  redis: './credential-stores/redis',
+  s3: './credential-stores/s3',
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    if (!STORES[CREDENTIALS_STORE]) {
+      throw new Error(`Unknown CREDENTIALS_STORE: ${CREDENTIALS_STORE} (valid: ${Object.keys(STORES).join(', ')})`);
+    }
+    const entry = STORES[CREDENTIALS_STORE];
+    store = typeof entry === 'string' ? require(entry) : entry;
+  }
+  return store;
+}
+
+// Registrar un almacén adicional (read, readAll, write, clear y opcionalmente init, sync y hasPendingSync)
+function registerCredentialsStore(name, backend) {
+  STORES[name] = backend;
+  if (name === CREDENTIALS_STORE) store = null;
+}
+
+// ============ ESCRITURA EN LOTE ============
+
+// Por sesión: llaves pendientes, llaves escribiéndose y la cadena de escrituras
+const writers = new Map();
+
+function getWriter(session) {
+  if (!writers.has(session.id)) {
+    writers.set(session.id, { session, pending: new Map(), inFlight: new Map(), timer: null, chain: Promise.resolve() });
+  }
+  return writers.get(session.id);
+}
+
+// Mismos nombres que useMultiFileAuthState
+function fixKey(key) {
+  return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function scheduleFlush(session) {
+  const writer = getWriter(session);
+  if (writer.timer) return;
+
+  writer.timer = setTimeout(() => {
+    writer.timer = null;
+    flushCredentials(session).catch((err) => log.error({ sessionId: session.id, err }, 'Error flushing credentials'));
+  }, FLUSH_DELAY);
+}
+
+// Escribir ya todas las llaves pendientes de la sesión
+function flushCredentials(session) {
+  const writer = getWriter(session);
+  clearTimeout(writer.timer);
+  writer.timer = null;
+
+  writer.chain = writer.chain.then(async () => {
+    if (!writer.pending.size) return;
+
+    const entries = [...writer.pending];
+    writer.inFlight = writer.pending;
+    writer.pending = new Map();
+
+    try {
+      await getStore().write(session, entries);
+      recordCredentialSync(session, CREDENTIALS_STORE, 'write', true);
+    } catch (error) {
+      recordCredentialSync(session, CREDENTIALS_STORE, 'write', false);
+      log.error({ sessionId: session.id, err: error }, `Error writing ${entries.length} credential key(s) to ${CREDENTIALS_STORE}`);
+      // Reponer lo que falló sin pisar cambios más nuevos y reintentar
+      for (const [key, value] of entries) {
+        if (!writer.pending.has(key)) writer.pending.set(key, value);
+      }
+      scheduleFlush(session);
+    } finally {
+      writer.inFlight = new Map();
+    }
+  });
+
+  return writer.chain;
+}
+
+// Escribir lo pendiente de todas las sesiones (al apagar el servidor)
+async function flushAllCredentials() {
+  await Promise.all([...writers.values()].map((writer) => flushCredentials(writer.session)));
+}
+
+// Al apagar: escribir lo pendiente y subir las copias remotas que esperan su timer
+// (Supabase agrupa las subidas; sin esto se perderían las últimas llaves en cada deploy)
+async function syncAllCredentials() {
+  await flushAllCredentials();
+
+  const backend = getStore();
+  if (!backend.sync) return;
+
+  const sessions = [...writers.values()]
+    .map((writer) => writer.session)
+    .filter((session) => !backend.hasPendingSync || backend.hasPendingSync(session));
+  await Promise.all(sessions.map((session) => backend.sync(session)));
+}
+
+// ============ AUTH STATE ============
+
+async function useStoreAuthState(session) {
+  const backend = getStore();
+  const writer = getWriter(session);
+
+  // Preparar el almacén (p. ej. restaurar desde Supabase)
+  if (backend.init) {
+    await backend.init(session);
+  }
+
+  const read = async (key) => {
+    const name = fixKey(key);
+    // Lo pendiente o en escritura es más nuevo que lo guardado
+    const raw = writer.pending.has(name) ? writer.pending.get(name)
+      : writer.inFlight.has(name) ? writer.inFlight.get(name)
+      : await backend.read(session, name);
+    return raw ? JSON.parse(decryptValue(raw, name), BufferJSON.reviver) : null;
+  };
+
+  const write = (key, value) => {
+    const name = fixKey(key);
+    writer.pending.set(name, value ? encryptValue(JSON.stringify(value, BufferJSON.replacer), name) : null);
+    scheduleFlush(session);
+  };
+
+  const creds = (await read('creds')) || initAuthCreds();
+
+  const state = {
+    creds,
+    keys: {
+      get: async (type, ids) => {
+        const data = {};
+        await Promise.all(ids.map(async (id) => {
+          let value = await read(`${type}-${id}`);
+          if (type === 'app-state-sync-key' && value) {
+            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+          }
+          data[id] = value;
+        }));
+        return data;
+      },
+      set: async (data) => {
+        for (const category of Object.keys(data)) {
+          for (const id of Object.keys(data[category])) {
+            write(`${category}-${id}`, data[category][id]);
+          }
+        }
+      },
+    },
+  };
+
+  // Las creds se escriben de inmediato junto con las llaves pendientes
+  const saveCreds = async () => {
+    write('creds', creds);
+    await flushCredentials(session);
+  };
+
+  log.info({ sessionId: session.id }, `Credentials store: ${CREDENTIALS_STORE}`);
+  return { state, saveCreds };
+}
+
+// Forzar la escritura (y, en Supabase, la subida del estado completo)
+async function syncCredentials(session) {
+  await flushCredentials(session);
+
+  const backend = getStore();
+  if (backend.sync) {
+    const success = await backend.sync(session);
+    return { success, message: success ? `Credentials synced to ${CREDENTIALS_STORE}` : 'Sync failed' };
+  }
+
+  return { success: true, message: `Credentials flushed to ${CREDENTIALS_STORE}` };
+}
+
+// Volver a cifrar todas las llaves guardadas con la llave actual (rotación o migración
+// desde texto plano). Devuelve cuántas llaves se reescribieron.
+async function rotateCredentialsKey(session) {
+  await flushCredentials(session);
+
+  const backend = getStore();
+  const stored = await backend.readAll(session);
+  const entries = Object.entries(stored)
+    .filter(([, raw]) => raw && needsReencryption(raw))
+    .map(([name, raw]) => [name, encryptValue(decryptValue(raw, name), name)]);
+
+  if (entries.length) {
+    await backend.write(session, entries);
+    if (backend.sync) await backend.sync(session);
+  }
+
+  log.info({ sessionId: session.id }, `Re-encrypted ${entries.length} of ${Object.keys(stored).length} credential key(s)`);
+  return { rewritten: entries.length, total: Object.keys(stored).length };
+}
+
+// Función para limpiar sesión (credenciales en el almacén configurado)
+async function clearSession(session) {
+  const writer = getWriter(session);
+  clearTimeout(writer.timer);
+  writer.timer = null;
+  writer.pending = new Map();
+
+  try {
+    await writer.chain;
+    await getStore().clear(session);
+  } catch (err) {
+    log.error({ sessionId: session.id, err }, 'Error clearing session');
+  }
+}
+
+module.exports = {
+  CREDENTIALS_STORE,
+  useStoreAuthState,
+  flushCredentials,
+  flushAllCredentials,
+  syncAllCredentials,
+  syncCredentials,
+  rotateCredentialsKey,
+  clearSession,
+  registerCredentialsStore,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('processor');
+
+// ============ DEAD LETTERS DEL PROCESADOR ============
+// Mensajes entrantes que la edge function no pudo procesar después de los reintentos.
+// Se guardan con el cuerpo original para volver a enviarlos desde la API.
+
+const DEAD_LETTERS_FILE = 'dead-letters.json';
+const MAX_DEAD_LETTERS = 1000;
+
+let deadLetters = null;
+
+function loadDeadLetters() {
+  if (!deadLetters) deadLetters = readJson(DEAD_LETTERS_FILE, []);
+  return deadLetters;
+}
+
+function saveDeadLetters() {
+  // Se conservan los más recientes
+  deadLetters = loadDeadLetters().slice(-MAX_DEAD_LETTERS);
+  writeJson(DEAD_LETTERS_FILE, deadLetters);
+}
+
+// `request` es el cuerpo enviado a la edge function (sin el secreto)
+function addDeadLetter(session, request, error, attempts) {
+  const entry = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    phone: request.phone,
+    messageId: request.messageId || null,
+    request,
+    error: error.message,
+    attempts,
+    replays: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  loadDeadLetters().push(entry);
+  saveDeadLetters();
+  log.error({ sessionId: session.id }, `Message ${entry.messageId} moved to dead letters (${entry.id})`);
+  return entry;
+}
+
+function listDeadLetters(session) {
+  return loadDeadLetters().filter((entry) => entry.sessionId === session.id);
+}
+
+function getDeadLetter(session, id) {
+  return loadDeadLetters().find((entry) => entry.id === id && entry.sessionId === session.id) || null;
+}
+
+// Anotar un reintento manual fallido
+function recordReplayFailure(entry, error) {
+  entry.replays++;
+  entry.error = error;
+  entry.updatedAt = new Date().toISOString();
+  saveDeadLetters();
+}
+
+function removeDeadLetter(entry) {
+  deadLetters = loadDeadLetters().filter((item) => item.id !== entry.id);
+  saveDeadLetters();
+}
+
+module.exports = {
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  recordReplayFailure,
+  removeDeadLetter,
+};
@@ -0,0 +1,63 @@
+const { readJson, writeJson } = require('./storage');
+
+// ============ MENSAJES YA PROCESADOS ============
+// Baileys puede volver a entregar notificaciones de messages.upsert después de una
+// reconexión, a veces con el JID del teléfono y otras con el LID. Se recuerda el id de
+// cada mensaje (también entre reinicios) para no responder dos veces.
+//
+// El mensaje se marca al llegar, antes de procesarlo, para que una re-entrega que llega
+// mientras tanto no se procese en paralelo. Si la edge function falla el mensaje queda
+// en dead letters; si falla antes (p. ej. al descargar la media) se olvida con
+// forgetSeen y una re-entrega lo vuelve a intentar.
+
+const SEEN_FILE = 'seen-messages.json';
+const SAVE_DELAY = 1000;
+// Cuánto se recuerda un mensaje (las re-entregas llegan en minutos u horas)
+const SEEN_TTL = (parseFloat(process.env.INBOUND_DEDUPE_HOURS) || 72) * 60 * 60 * 1000;
+
+// { "sessionId:messageId" (en grupos "sessionId:participant:messageId"): fecha en ms }
+let seen = null;
+let saveTimer = null;
+
+function loadSeen() {
+  if (!seen) {
+    seen = new Map(Object.entries(readJson(SEEN_FILE, {})));
+  }
+  return seen;
+}
+
+// Al guardar se descartan los ids vencidos
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const cutoff = Date.now() - SEEN_TTL;
+    for (const [key, at] of loadSeen()) {
+      if (at < cutoff) seen.delete(key);
+    }
+    writeJson(SEEN_FILE, Object.fromEntries(seen));
+  }, SAVE_DELAY);
+}
+
+// Sin el chat: el mismo mensaje puede llegar con el JID del teléfono o con el LID
+function seenKey(session, key) {
+  return [session.id, key.participant, key.id].filter(Boolean).join(':');
+}
+
+// Registrar un mensaje; devuelve false si ya se había visto
+function markSeen(session, key) {
+  const id = seenKey(session, key);
+  const at = loadSeen().get(id);
+  if (at && at >= Date.now() - SEEN_TTL) return false;
+
+  seen.set(id, Date.now());
+  scheduleSave();
+  return true;
+}
+
+// Olvidar un mensaje que no se pudo procesar
+function forgetSeen(session, key) {
+  if (loadSeen().delete(seenKey(session, key))) scheduleSave();
+}
+
+module.exports = { markSeen, forgetSeen };
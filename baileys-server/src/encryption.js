@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// ============ CIFRADO DE CREDENCIALES EN REPOSO ============
+// AES-256-GCM con la llave de CREDENTIALS_ENCRYPTION_KEY (32 bytes en hex o base64).
+// Formato: enc:v1:<keyId>:<iv>:<tag>:<datos> (base64). El keyId permite descifrar con
+// llaves anteriores (CREDENTIALS_ENCRYPTION_OLD_KEYS) mientras se rota.
+
+const PREFIX = 'enc:v1:';
+
+// Error no recuperable: llave incorrecta, faltante o datos alterados
+class CredentialsDecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialsDecryptionError';
+  }
+}
+
+function parseKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes encoded as hex (64 chars) or base64`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+const currentKey = process.env.CREDENTIALS_ENCRYPTION_KEY
+  ? parseKey(process.env.CREDENTIALS_ENCRYPTION_KEY, 'CREDENTIALS_ENCRYPTION_KEY')
+  : null;
+const oldKeys = (process.env.CREDENTIALS_ENCRYPTION_OLD_KEYS || '')
+  .split(',')
+  .filter((value) => value.trim())
+  .map((value) => parseKey(value, 'CREDENTIALS_ENCRYPTION_OLD_KEYS'));
+
+// keyId -> llave, para descifrar con la actual o con las anteriores
+const keyring = new Map([currentKey, ...oldKeys].filter(Boolean).map((key) => [keyId(key), key]));
+const CURRENT_KEY_ID = currentKey ? keyId(currentKey) : null;
+const ENCRYPTION_ENABLED = !!currentKey;
+
+function isEncrypted(raw) {
+  return typeof raw === 'string' && raw.startsWith(PREFIX);
+}
+
+// Cifrar un valor serializado; `name` (la llave del auth state) se autentica como AAD
+function encryptValue(plaintext, name) {
+  if (!ENCRYPTION_ENABLED) return plaintext;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentKey, iv);
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+  return `${PREFIX}${CURRENT_KEY_ID}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+}
+
+function decryptValue(raw, name) {
+  // Valores en texto plano (guardados antes de activar el cifrado) se aceptan tal cual
+  if (!isEncrypted(raw)) return raw;
+
+  const [id, iv, tag, data] = raw.slice(PREFIX.length).split(':');
+  const key = keyring.get(id);
+
+  if (!ENCRYPTION_ENABLED && !key) {
+    throw new CredentialsDecryptionError('Credentials are encrypted but CREDENTIALS_ENCRYPTION_KEY is not set');
+  }
+  if (!key) {
+    throw new CredentialsDecryptionError(`Credentials were encrypted with key ${id}, which is not CREDENTIALS_ENCRYPTION_KEY nor in CREDENTIALS_ENCRYPTION_OLD_KEYS`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new CredentialsDecryptionError(`Could not decrypt credential "${name}" with key ${id}: wrong key or tampered data`);
+  }
+}
+
+// ¿Hay que volver a cifrarlo con la llave actual?
+function needsReencryption(raw) {
+  if (!ENCRYPTION_ENABLED) return isEncrypted(raw);
+  return !isEncrypted(raw) || !raw.startsWith(`${PREFIX}${CURRENT_KEY_ID}:`);
+}
+
+module.exports = {
+  ENCRYPTION_ENABLED,
+  CURRENT_KEY_ID,
+  CredentialsDecryptionError,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  needsReencryption,
+};
@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+// ============ BUS DE EVENTOS INTERNO ============
+// Los módulos publican aquí lo que pasa en cada sesión y otros (webhooks, etc.)
+// se suscriben sin acoplarse a los sockets de Baileys.
+
+const EVENTS = {
+  MESSAGE_RECEIVED: 'message.received',
+  CONNECTION_UPDATE: 'connection.update',
+  QR_GENERATED: 'qr.generated',
+  PAIRING_CODE: 'pairing.code',
+  ACK_UPDATED: 'ack.updated',
+  RECONNECT_SCHEDULED: 'reconnect.scheduled',
+  CHAT_STATE: 'chat.state',
+};
+
+const bus = new EventEmitter();
+
+// Publicar un evento de una sesión
+function emitEvent(event, session, data = {}) {
+  bus.emit('event', {
+    event,
+    sessionId: session.id,
+    timestamp: new Date().toISOString(),
+    data,
+  });
+}
+
+// Suscribirse a todos los eventos
+function onEvent(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { EVENTS, emitEvent, onEvent };
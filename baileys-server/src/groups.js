@@ -0,0 +1,70 @@
+const { toJid, toGroupJid, isConnected } = require('./whatsapp');
+const { normalizePhone } = require('./phone');
+const { createLogger } = require('./logger');
+
+const log = createLogger('groups');
+
+// ============ GRUPOS ============
+
+function requireConnection(session) {
+  if (!isConnected(session)) {
+    throw new Error('WhatsApp not connected');
+  }
+  return session.sock;
+}
+
+// Resumen de la metadata de un grupo
+function getGroupInfo(metadata) {
+  return {
+    id: metadata.id,
+    subject: metadata.subject,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    creation: metadata.creation || null,
+    size: metadata.size || metadata.participants?.length || 0,
+    announce: !!metadata.announce,
+    restrict: !!metadata.restrict,
+    participants: (metadata.participants || []).map((participant) => ({
+      id: participant.id,
+      phone: participant.id.split('@')[0],
+      admin: participant.admin || null,
+    })),
+  };
+}
+
+// Participantes como cualquier otro destinatario: un número inválido es PhoneValidationError
+function participantJids(participants) {
+  return participants.map((participant) => toJid(normalizePhone(participant)));
+}
+
+async function listGroups(session) {
+  const groups = await requireConnection(session).groupFetchAllParticipating();
+  return Object.values(groups).map(getGroupInfo);
+}
+
+async function getGroup(session, groupId) {
+  const metadata = await requireConnection(session).groupMetadata(toGroupJid(groupId));
+  return getGroupInfo(metadata);
+}
+
+async function createGroup(session, subject, participants) {
+  const jids = participantJids(participants);
+  const metadata = await requireConnection(session).groupCreate(subject, jids);
+  log.info({ sessionId: session.id }, `Group created: ${metadata.id} (${subject})`);
+  return getGroupInfo(metadata);
+}
+
+// action: 'add' | 'remove' | 'promote' | 'demote'
+async function updateParticipants(session, groupId, participants, action) {
+  const jids = participantJids(participants);
+  const results = await requireConnection(session).groupParticipantsUpdate(toGroupJid(groupId), jids, action);
+  log.info({ sessionId: session.id }, `Group ${groupId}: ${action} ${participants.length} participant(s)`);
+  return results.map((result) => ({ id: result.jid, status: result.status }));
+}
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+};
@@ -0,0 +1,102 @@
+const { readJson, writeJson } = require('./storage');
+const { EVENTS, emitEvent } = require('./events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('handoff');
+
+// ============ ESTADO DEL BOT POR CHAT ============
+// Cada chat está `active` (el bot responde), `paused` hasta una fecha o `human`
+// (lo atiende una persona hasta que se reactive). Los mensajes siguen llegando a la
+// edge function, pero sus respuestas, las reglas locales y el respaldo no se envían.
+
+const CHAT_STATES_FILE = 'chat-states.json';
+const STATES = ['active', 'paused', 'human'];
+// Al escribir desde el teléfono el bot se pausa este tiempo (se renueva con cada mensaje)
+const AUTO_PAUSE_ENABLED = process.env.HANDOFF_AUTO_PAUSE !== 'false';
+const AUTO_PAUSE_MINUTES = parseFloat(process.env.HANDOFF_PAUSE_MINUTES) || 60;
+
+// { "sessionId:chat": { state, until, reason, updatedAt } }; los chats activos no se guardan
+let chatStates = null;
+
+function loadChatStates() {
+  if (!chatStates) chatStates = readJson(CHAT_STATES_FILE, {});
+  return chatStates;
+}
+
+function saveChatStates() {
+  writeJson(CHAT_STATES_FILE, loadChatStates());
+}
+
+function activeState(chat) {
+  return { chat, state: 'active', until: null, reason: null, updatedAt: null };
+}
+
+// Estado actual de un chat; las pausas vencidas vuelven a `active`
+function getChatState(session, chat) {
+  const key = `${session.id}:${chat}`;
+  const stored = loadChatStates()[key];
+  if (!stored) return activeState(chat);
+
+  if (stored.state === 'paused' && stored.until && new Date(stored.until).getTime() <= Date.now()) {
+    delete chatStates[key];
+    saveChatStates();
+    emitEvent(EVENTS.CHAT_STATE, session, { ...activeState(chat), reason: 'pause_expired' });
+    return activeState(chat);
+  }
+  return { chat, ...stored };
+}
+
+function isBotActive(session, chat) {
+  return getChatState(session, chat).state === 'active';
+}
+
+// Cambiar el estado de un chat. `until` solo aplica a `paused` (sin fecha = indefinido).
+function setChatState(session, chat, { state, until = null, reason = null }) {
+  const key = `${session.id}:${chat}`;
+
+  if (state === 'active') {
+    delete loadChatStates()[key];
+  } else {
+    loadChatStates()[key] = {
+      state,
+      until: state === 'paused' && until ? new Date(until).toISOString() : null,
+      reason,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+  saveChatStates();
+
+  const current = getChatState(session, chat);
+  log.info({ sessionId: session.id, chat }, `Chat is now ${current.state}${current.until ? ` until ${current.until}` : ''}`);
+  emitEvent(EVENTS.CHAT_STATE, session, { ...current, reason: reason || current.reason });
+  return current;
+}
+
+// Alguien escribió desde el teléfono: pausar el bot (sin quitarle el chat a un humano)
+function pauseForHumanReply(session, chat) {
+  if (!AUTO_PAUSE_ENABLED) return null;
+
+  const current = getChatState(session, chat);
+  if (current.state === 'human') return current;
+
+  const until = new Date(Date.now() + AUTO_PAUSE_MINUTES * 60 * 1000);
+  return setChatState(session, chat, { state: 'paused', until, reason: 'phone_reply' });
+}
+
+// Chats que no están activos
+function listChatStates(session) {
+  const prefix = `${session.id}:`;
+  return Object.keys(loadChatStates())
+    .filter((key) => key.startsWith(prefix))
+    .map((key) => getChatState(session, key.slice(prefix.length)))
+    .filter((state) => state.state !== 'active');
+}
+
+module.exports = {
+  STATES,
+  getChatState,
+  isBotActive,
+  setChatState,
+  pauseForHumanReply,
+  listChatStates,
+};
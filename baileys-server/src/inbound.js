@@ -0,0 +1,172 @@
+const { normalizeMessageContent, getContentType } = require('@whiskeysockets/baileys');
+const { baileysLogger, createLogger } = require('./logger');
+const { saveMedia } = require('./media-store');
+const { getTransport } = require('./transport');
+
+const log = createLogger('inbound');
+
+// ============ NORMALIZACIÓN DE MENSAJES ENTRANTES ============
+// Convierte cualquier mensaje de Baileys en un payload único para el procesador:
+// { messageId, timestamp, type, text, media, location, contacts, reaction, quoted }
+
+// No se descargan archivos más grandes que esto (bytes)
+const INBOUND_MEDIA_MAX_SIZE = parseInt(process.env.INBOUND_MEDIA_MAX_SIZE, 10) || 50 * 1024 * 1024;
+
+// Tipos de Baileys con archivo adjunto -> tipo normalizado
+const MEDIA_MESSAGE_TYPES = {
+  imageMessage: 'image',
+  audioMessage: 'audio',
+  videoMessage: 'video',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+};
+
+const DEFAULT_MIMETYPES = {
+  image: 'image/jpeg',
+  audio: 'audio/ogg',
+  video: 'video/mp4',
+  document: 'application/octet-stream',
+  sticker: 'image/webp',
+};
+
+// Texto para mostrar de cada tipo de mensaje
+function summarize(messageType, content) {
+  switch (messageType) {
+    case 'conversation':
+      return { type: 'text', text: content };
+    case 'extendedTextMessage':
+      return { type: 'text', text: content.text || '' };
+    case 'imageMessage':
+      return { type: 'image', text: content.caption || '[📷 Imagen]' };
+    case 'audioMessage':
+      return { type: 'audio', text: content.ptt ? '[🎤 Mensaje de voz]' : '[🎵 Audio]' };
+    case 'videoMessage':
+      return { type: 'video', text: content.caption || '[🎥 Video]' };
+    case 'documentMessage':
+      return { type: 'document', text: content.caption || `[📄 ${content.fileName || 'Documento'}]` };
+    case 'stickerMessage':
+      return { type: 'sticker', text: '[🏷️ Sticker]' };
+    case 'locationMessage':
+    case 'liveLocationMessage':
+      return { type: 'location', text: content.name || content.address || '[📍 Ubicación]' };
+    case 'contactMessage':
+      return { type: 'contact', text: `[👤 ${content.displayName || 'Contacto'}]` };
+    case 'contactsArrayMessage':
+      return { type: 'contact', text: `[👤 ${content.displayName || 'Contactos'}]` };
+    case 'reactionMessage':
+      return { type: 'reaction', text: content.text ? `[${content.text} Reacción]` : '[Reacción eliminada]' };
+    default:
+      return null;
+  }
+}
+
+// Teléfonos de una vCard (waid=... o TEL:...)
+function phonesFromVcard(vcard = '') {
+  const waids = [...vcard.matchAll(/waid=(\d+)/g)].map((match) => match[1]);
+  if (waids.length) return waids;
+  return [...vcard.matchAll(/TEL[^:]*:([+\d\s()-]+)/g)].map((match) => match[1].replace(/\D/g, ''));
+}
+
+function normalizeContact(contact) {
+  return {
+    name: contact.displayName || null,
+    phones: phonesFromVcard(contact.vcard),
+    vcard: contact.vcard || null,
+  };
+}
+
+// Mensaje citado (respuesta a otro mensaje)
+function normalizeQuoted(contextInfo) {
+  if (!contextInfo?.quotedMessage) return null;
+
+  const quotedMessage = normalizeMessageContent(contextInfo.quotedMessage);
+  const quotedType = getContentType(quotedMessage);
+  const summary = quotedType ? summarize(quotedType, quotedMessage[quotedType]) : null;
+
+  return {
+    messageId: contextInfo.stanzaId || null,
+    participant: contextInfo.participant || null,
+    type: summary?.type || 'unknown',
+    text: summary?.text || null,
+  };
+}
+
+// Descargar el archivo adjunto y guardarlo en el almacén de media
+async function downloadMedia(session, msg, type, content) {
+  const mimetype = content.mimetype || DEFAULT_MIMETYPES[type];
+  const fileLength = Number(content.fileLength || 0);
+  const info = {
+    url: null,
+    mimetype,
+    fileName: content.fileName || null,
+    size: fileLength || null,
+    seconds: content.seconds || null,
+    ptt: type === 'audio' ? !!content.ptt : undefined,
+  };
+
+  if (fileLength > INBOUND_MEDIA_MAX_SIZE) {
+    log.info({ sessionId: session.id }, `Skipping ${type} download (${fileLength} bytes)`);
+    return info;
+  }
+
+  try {
+    const buffer = await getTransport().downloadMedia(msg, 'buffer', {}, {
+      logger: baileysLogger,
+      reuploadRequest: session.sock.updateMediaMessage,
+    });
+    const stored = await saveMedia(buffer, { mimetype, fileName: info.fileName });
+    return { ...info, id: stored.id, url: stored.url, size: stored.size };
+  } catch (err) {
+    log.error({ sessionId: session.id, err }, `Error downloading ${type}`);
+    return info;
+  }
+}
+
+// Payload normalizado o null si el tipo de mensaje no se procesa
+async function normalizeMessage(session, msg) {
+  const message = normalizeMessageContent(msg.message);
+  const messageType = message && getContentType(message);
+  if (!messageType) return null;
+
+  const content = message[messageType];
+  const summary = summarize(messageType, content);
+  if (!summary) return null;
+
+  const payload = {
+    messageId: msg.key.id,
+    timestamp: Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000),
+    type: summary.type,
+    text: summary.text,
+    media: null,
+    location: null,
+    contacts: null,
+    reaction: null,
+    quoted: normalizeQuoted(content?.contextInfo),
+  };
+
+  if (MEDIA_MESSAGE_TYPES[messageType]) {
+    payload.media = await downloadMedia(session, msg, summary.type, content);
+  } else if (summary.type === 'location') {
+    payload.location = {
+      latitude: content.degreesLatitude,
+      longitude: content.degreesLongitude,
+      name: content.name || null,
+      address: content.address || null,
+      live: messageType === 'liveLocationMessage',
+    };
+  } else if (messageType === 'contactMessage') {
+    payload.contacts = [normalizeContact(content)];
+  } else if (messageType === 'contactsArrayMessage') {
+    payload.contacts = (content.contacts || []).map(normalizeContact);
+  } else if (summary.type === 'reaction') {
+    payload.reaction = {
+      emoji: content.text || '',
+      messageId: content.key?.id || null,
+      removed: !content.text,
+    };
+  }
+
+  return payload;
+}
+
+module.exports = { normalizeMessage };
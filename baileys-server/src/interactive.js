@@ -0,0 +1,116 @@
+const { getQueuedMessage, enqueueMessage } = require('./queue');
+const { findMessage } = require('./message-store');
+const { toJid } = require('./whatsapp');
+
+// ============ MENSAJES INTERACTIVOS ============
+// Reacciones, respuestas citando, ediciones, borrados y encuestas. Los mensajes
+// anteriores se referencian con el id de la cola o con el id de WhatsApp, y las
+// operaciones pasan por la cola como cualquier otro envío.
+
+const POLL_MAX_OPTIONS = 12;
+
+class MessageReferenceError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Key de Baileys del mensaje referenciado y su registro en el historial
+function resolveMessage(session, id) {
+  const entry = getQueuedMessage(id);
+  let waMessageId = id;
+
+  if (entry && entry.sessionId === session.id) {
+    if (!entry.waMessageId) {
+      throw new MessageReferenceError(`Message ${id} has not been sent yet`, 409);
+    }
+    waMessageId = entry.waMessageId;
+  }
+
+  const record = findMessage(session, waMessageId);
+  if (record) {
+    return {
+      record,
+      key: {
+        remoteJid: record.remoteJid || toJid(record.chat),
+        fromMe: record.direction === 'out',
+        id: record.waMessageId,
+        ...(record.participantJid && { participant: record.participantJid }),
+      },
+    };
+  }
+
+  // Enviado por la cola pero sin registro en el historial
+  if (entry && entry.sessionId === session.id) {
+    return {
+      record: { text: entry.content.text || entry.content.caption || '' },
+      key: { remoteJid: entry.jid || toJid(entry.phone), fromMe: true, id: entry.waMessageId },
+    };
+  }
+
+  throw new MessageReferenceError(`Message ${id} not found`);
+}
+
+function requireOwnMessage(key) {
+  if (!key.fromMe) {
+    throw new MessageReferenceError('Only messages sent by this number can be edited or deleted', 400);
+  }
+}
+
+// Reaccionar con un emoji ('' quita la reacción)
+function reactToMessage(session, id, emoji) {
+  const { key } = resolveMessage(session, id);
+  return enqueueMessage(session, key.remoteJid, { react: { text: emoji, key } });
+}
+
+// Responder en el mismo chat citando el mensaje
+function replyToMessage(session, id, text) {
+  const { key, record } = resolveMessage(session, id);
+  const quoted = { key, message: { conversation: record.text || '' } };
+  return enqueueMessage(session, key.remoteJid, { text }, { options: { quoted } });
+}
+
+// Editar un mensaje propio (WhatsApp solo lo permite en los primeros 15 minutos)
+function editMessage(session, id, text) {
+  const { key } = resolveMessage(session, id);
+  requireOwnMessage(key);
+  return enqueueMessage(session, key.remoteJid, { text, edit: key });
+}
+
+// Borrar un mensaje propio para todos
+function deleteMessage(session, id) {
+  const { key } = resolveMessage(session, id);
+  requireOwnMessage(key);
+  return enqueueMessage(session, key.remoteJid, { delete: key });
+}
+
+// Validar una encuesta; devuelve el mensaje de error o null
+function validatePoll({ name, options, selectableCount = 1 }) {
+  if (!name || typeof name !== 'string') return 'name required';
+  if (!Array.isArray(options) || options.length < 2 || options.length > POLL_MAX_OPTIONS) {
+    return `options must be an array of 2 to ${POLL_MAX_OPTIONS} strings`;
+  }
+  if (options.some((option) => typeof option !== 'string' || !option.trim())) {
+    return 'options must be non-empty strings';
+  }
+  if (new Set(options).size !== options.length) return 'options must be unique';
+  if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+    return `selectableCount must be between 0 (any number) and ${options.length}`;
+  }
+  return null;
+}
+
+function buildPollContent({ name, options, selectableCount = 1 }) {
+  return { poll: { name, values: options, selectableCount } };
+}
+
+module.exports = {
+  MessageReferenceError,
+  reactToMessage,
+  replyToMessage,
+  editMessage,
+  deleteMessage,
+  validatePoll,
+  buildPollContent,
+};
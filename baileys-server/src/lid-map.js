@@ -0,0 +1,132 @@
+const { readJson, writeJson } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('lid');
+
+// ============ MAPEO LID <-> TELÉFONO ============
+// WhatsApp identifica a muchos contactos con un LID (`123...@lid`) en lugar del número.
+// Cada vez que aparecen ambos identificadores (mensajes, contactos, historial) se guarda
+// la relación, para que el procesador reciba siempre el teléfono real cuando se conoce.
+
+const LID_MAP_FILE = 'lid-map.json';
+const SAVE_DELAY = 1000;
+
+// { [sessionId]: { [lid]: phone } }
+let lidMap = null;
+let saveTimer = null;
+
+function loadLidMap() {
+  if (!lidMap) lidMap = readJson(LID_MAP_FILE, {});
+  return lidMap;
+}
+
+// Los eventos de contactos llegan en ráfagas: se agrupan las escrituras
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeJson(LID_MAP_FILE, loadLidMap());
+  }, SAVE_DELAY);
+}
+
+// "123:4@lid" -> "123" (sin sufijo ni número de dispositivo)
+function jidUser(jid) {
+  return jid ? String(jid).split('@')[0].split(':')[0] : '';
+}
+
+function isLidJid(jid) {
+  return !!jid && String(jid).endsWith('@lid');
+}
+
+function isPhoneJid(jid) {
+  return !!jid && String(jid).endsWith('@s.whatsapp.net');
+}
+
+// Guardar la relación entre un LID y un teléfono (acepta JIDs o solo dígitos)
+function rememberLid(session, lid, phone) {
+  const lidUser = jidUser(lid);
+  const phoneUser = jidUser(phone);
+  if (!lidUser || !phoneUser || lidUser === phoneUser) return;
+
+  const entries = loadLidMap()[session.id] || (lidMap[session.id] = {});
+  if (entries[lidUser] === phoneUser) return;
+
+  entries[lidUser] = phoneUser;
+  scheduleSave();
+}
+
+function phoneForLid(session, lid) {
+  return loadLidMap()[session.id]?.[jidUser(lid)] || null;
+}
+
+// Si un JID y su alternativo son uno LID y otro teléfono, guardar la relación
+function rememberPair(session, jid, altJid) {
+  if (isLidJid(jid) && isPhoneJid(altJid)) rememberLid(session, jid, altJid);
+  if (isPhoneJid(jid) && isLidJid(altJid)) rememberLid(session, altJid, jid);
+}
+
+// Aprender de la key de un mensaje (remitente directo y participante en grupos)
+function learnFromMessageKey(session, key = {}) {
+  rememberPair(session, key.remoteJid, key.senderPn || key.remoteJidAlt);
+  rememberPair(session, key.participant, key.participantPn || key.participantAlt);
+}
+
+// Contactos de contacts.upsert, contacts.update y messaging-history.set
+function learnFromContacts(session, contacts = []) {
+  for (const contact of contacts) {
+    if (contact.lid) rememberLid(session, contact.lid, contact.phoneNumber || (isPhoneJid(contact.id) ? contact.id : null));
+    if (isLidJid(contact.id) && contact.phoneNumber) rememberLid(session, contact.id, contact.phoneNumber);
+  }
+}
+
+// Evento lid-mapping.update de Baileys ({ lid, pn })
+function learnFromMappings(session, mappings) {
+  for (const mapping of [].concat(mappings || [])) {
+    rememberLid(session, mapping.lid, mapping.pn);
+  }
+}
+
+// Teléfono real de un JID. Si es un LID desconocido se consulta el mapeo interno
+// de Baileys; devuelve null cuando no hay forma de saberlo.
+async function resolvePhone(session, jid, altJid = null) {
+  if (!jid) return null;
+  if (!isLidJid(jid)) return jidUser(jid);
+  if (isPhoneJid(altJid)) {
+    rememberLid(session, jid, altJid);
+    return jidUser(altJid);
+  }
+
+  const known = phoneForLid(session, jid);
+  if (known) return known;
+
+  try {
+    const pn = await session.sock?.signalRepository?.lidMapping?.getPNForLID?.(jid);
+    if (pn) {
+      rememberLid(session, jid, pn);
+      return jidUser(pn);
+    }
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, `Error resolving ${jid}`);
+  }
+  return null;
+}
+
+// Olvidar los mapeos de una sesión eliminada
+function clearLidMap(session) {
+  if (!loadLidMap()[session.id]) return;
+
+  delete lidMap[session.id];
+  scheduleSave();
+}
+
+module.exports = {
+  jidUser,
+  isLidJid,
+  rememberLid,
+  phoneForLid,
+  learnFromMessageKey,
+  learnFromContacts,
+  learnFromMappings,
+  resolvePhone,
+  clearLidMap,
+};
@@ -0,0 +1,81 @@
+const pino = require('pino');
+
+// ============ LOGS ESTRUCTURADOS ============
+// Todo el servidor escribe JSON con pino, un logger hijo por módulo (campo `module`).
+// LOG_LEVEL define el nivel de la aplicación y BAILEYS_LOG_LEVEL el de Baileys,
+// que por debajo de warn es muy verboso. Los secretos se ocultan siempre y los
+// teléfonos se enmascaran salvo con LOG_REDACT_PHONES=false.
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || 'warn';
+const REDACT_PHONES = process.env.LOG_REDACT_PHONES !== 'false';
+
+// Campos que nunca se escriben
+const SECRET_FIELDS = ['secret', 'apiKey', 'token', 'password', 'authorization', 'creds'];
+// Campos que llevan teléfonos o JIDs
+const PHONE_FIELDS = ['phone', 'phones', 'jid', 'chat', 'participant', 'connectedPhone', 'toPhone'];
+
+// En el texto de los mensajes solo se enmascaran los JID (5215551234567@s.whatsapp.net,
+// ...@lid): timestamps, tamaños e ids numéricos quedan legibles. Los teléfonos sueltos
+// van en los campos de PHONE_FIELDS, donde cualquier serie de dígitos es un número.
+const JID_PATTERN = /\b(\d+)(@(?:s\.whatsapp\.net|lid))/g;
+const DIGITS_PATTERN = /\+?\d{5,}/g;
+
+// Se deja ver el final del número
+function mask(digits) {
+  return `***${digits.slice(-4)}`;
+}
+
+function maskJids(text) {
+  if (!REDACT_PHONES || typeof text !== 'string') return text;
+  return text.replace(JID_PATTERN, (match, digits, suffix) => `${mask(digits)}${suffix}`);
+}
+
+function maskPhoneField(value) {
+  return String(value).replace(DIGITS_PATTERN, mask);
+}
+
+// Cada campo se busca en el objeto del log y un nivel más abajo
+function redactPaths(fields) {
+  return fields.flatMap((field) => [field, `*.${field}`]);
+}
+
+function censor(value, path) {
+  if (SECRET_FIELDS.includes(path[path.length - 1])) return '[Redacted]';
+  if (Array.isArray(value)) return value.map(maskPhoneField);
+  return maskPhoneField(value);
+}
+
+function serializeError(err) {
+  const serialized = pino.stdSerializers.err(err);
+  if (serialized && typeof serialized === 'object') {
+    serialized.message = maskJids(serialized.message);
+    serialized.stack = maskJids(serialized.stack);
+  }
+  return serialized;
+}
+
+const logger = pino({
+  level: LOG_LEVEL,
+  redact: {
+    paths: redactPaths(REDACT_PHONES ? [...SECRET_FIELDS, ...PHONE_FIELDS] : SECRET_FIELDS),
+    censor,
+  },
+  serializers: { err: serializeError },
+  hooks: {
+    // Los JID también aparecen dentro de los mensajes de texto
+    logMethod(args, method) {
+      return method.apply(this, args.map(maskJids));
+    },
+  },
+});
+
+// Logger de un módulo del servidor
+function createLogger(module) {
+  return logger.child({ module });
+}
+
+// Logger para Baileys, con su propio nivel
+const baileysLogger = logger.child({ module: 'baileys' }, { level: BAILEYS_LOG_LEVEL });
+
+module.exports = { logger, baileysLogger, createLogger, maskJids };
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PORT, API_SECRET } = require('./config');
+const { dataPath } = require('./storage');
+const { getS3 } = require('./s3');
+const { createLogger } = require('./logger');
+
+const log = createLogger('media');
+
+// ============ ALMACÉN DE MEDIA ENTRANTE ============
+// Los archivos recibidos se guardan con el hash de su contenido como nombre y el
+// procesador recibe una URL firmada de corta duración.
+// MEDIA_STORAGE=local (por defecto) los sirve en /media/:id;
+// MEDIA_STORAGE=s3 los sube a un bucket S3 compatible.
+
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const MEDIA_FOLDER = dataPath('media');
+// URL pública del servidor, usada para armar los enlaces de /media
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// Validez de las URLs firmadas (segundos)
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL, 10) || 60 * 60;
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || API_SECRET;
+// Los archivos se borran después de estos días
+const MEDIA_RETENTION_DAYS = parseFloat(process.env.MEDIA_RETENTION_DAYS) || 7;
+const MEDIA_CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const MEDIA_ID_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]+$/;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf',
+};
+
+function extensionFor(mimetype, fileName) {
+  const fromName = fileName && path.extname(fileName).slice(1).toLowerCase();
+  const extension = fromName || EXTENSIONS[(mimetype || '').split(';')[0].trim()] || 'bin';
+  return /^[a-z0-9]+$/.test(extension) ? extension : 'bin';
+}
+
+// ============ URLS FIRMADAS ============
+
+function signMediaToken(id, expires) {
+  return crypto.createHmac('sha256', MEDIA_URL_SECRET).update(`${id}.${expires}`).digest('hex');
+}
+
+function verifyMediaToken(id, expires, token) {
+  if (!token || !expires || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(signMediaToken(id, expires));
+  const received = Buffer.from(String(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// ============ BACKEND LOCAL ============
+// Cada backend implementa: save, exists, url, remove y cleanup.
+
+const localBackend = {
+  async save(id, buffer, meta) {
+    fs.mkdirSync(MEDIA_FOLDER, { recursive: true });
+    const filePath = path.join(MEDIA_FOLDER, id);
+    // Mismo contenido = mismo archivo; solo se renueva la metadata
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, buffer);
+    }
+    fs.writeFileSync(`${filePath}.json`, JSON.stringify(meta));
+  },
+
+  async exists(id) {
+    return !!getLocalMedia(id);
+  },
+
+  async url(id) {
+    const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL;
+    return `${PUBLIC_URL}/media/${id}?expires=${expires}&token=${signMediaToken(id, expires)}`;
+  },
+
+  async remove(id) {
+    fs.rmSync(path.join(MEDIA_FOLDER, id), { force: true });
+    fs.rmSync(path.join(MEDIA_FOLDER, `${id}.json`), { force: true });
+  },
+
+  async cleanup(cutoff) {
+    if (!fs.existsSync(MEDIA_FOLDER)) return 0;
+
+    let removed = 0;
+    for (const file of fs.readdirSync(MEDIA_FOLDER)) {
+      if (!MEDIA_ID_PATTERN.test(file)) continue;
+
+      const media = getLocalMedia(file);
+      const createdAt = media ? new Date(media.createdAt).getTime() : 0;
+      if (createdAt < cutoff) {
+        await this.remove(file);
+        removed++;
+      }
+    }
+    return removed;
+  },
+};
+
+// Ubicar un archivo local y su metadata
+function getLocalMedia(id) {
+  // Los ids son hashes generados por nosotros; cualquier otra cosa se rechaza
+  if (!MEDIA_ID_PATTERN.test(id)) return null;
+
+  const filePath = path.join(MEDIA_FOLDER, id);
+  const metaPath = `${filePath}.json`;
+  if (!fs.existsSync(filePath) || !fs.existsSync(metaPath)) return null;
+
+  return { path: filePath, ...JSON.parse(fs.readFileSync(metaPath, 'utf-8')) };
+}
+
+// ============ BACKEND S3 ============
+
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_PREFIX = process.env.S3_PREFIX || 'whatsapp-media/';
+
+const s3Backend = {
+  async save(id, buffer, meta) {
+    const { client, PutObjectCommand } = getS3();
+    await client.send(new PutObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: `${S3_PREFIX}${id}`,
+      Body: buffer,
+      ContentType: meta.mimetype,
+      Metadata: meta.fileName ? { filename: encodeURIComponent(meta.fileName) } : undefined,
+    }));
+  },
+
+  async exists(id) {
+    const { client, HeadObjectCommand } = getS3();
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: `${S3_PREFIX}${id}` }));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async url(id) {
+    // Con S3_PUBLIC_URL se usa el enlace público, si no una URL prefirmada
+    if (process.env.S3_PUBLIC_URL) {
+      return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${S3_PREFIX}${id}`;
+    }
+    const { client, GetObjectCommand, getSignedUrl } = getS3();
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: S3_BUCKET, Key: `${S3_PREFIX}${id}` }), { expiresIn: MEDIA_URL_TTL });
+  },
+
+  async remove(id) {
+    const { client, DeleteObjectCommand } = getS3();
+    await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: `${S3_PREFIX}${id}` }));
+  },
+
+  async cleanup(cutoff) {
+    const { client, ListObjectsV2Command } = getS3();
+    let removed = 0;
+    let ContinuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({ Bucket: S3_BUCKET, Prefix: S3_PREFIX, ContinuationToken }));
+      for (const object of page.Contents || []) {
+        if (object.LastModified && object.LastModified.getTime() < cutoff) {
+          await this.remove(object.Key.slice(S3_PREFIX.length));
+          removed++;
+        }
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return removed;
+  },
+};
+
+const backends = { local: localBackend, s3: s3Backend };
+
+function getBackend() {
+  const backend = backends[MEDIA_STORAGE];
+  if (!backend) {
+    throw new Error(`Unknown MEDIA_STORAGE: ${MEDIA_STORAGE} (valid: ${Object.keys(backends).join(', ')})`);
+  }
+  return backend;
+}
+
+// Registrar un backend adicional (p. ej. otro proveedor de almacenamiento)
+function registerMediaBackend(name, backend) {
+  backends[name] = backend;
+}
+
+// Guardar un archivo descargado y devolver su referencia con URL firmada
+async function saveMedia(buffer, { mimetype, fileName = null }) {
+  const backend = getBackend();
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const id = `${hash}.${extensionFor(mimetype, fileName)}`;
+  const meta = { mimetype, fileName, size: buffer.length, createdAt: new Date().toISOString() };
+
+  await backend.save(id, buffer, meta);
+  return { id, url: await backend.url(id), ...meta };
+}
+
+// Nueva URL firmada para un archivo existente
+async function getMediaUrl(id) {
+  const backend = getBackend();
+  if (!(await backend.exists(id))) return null;
+  return backend.url(id);
+}
+
+// Borrar periódicamente los archivos más viejos que la retención
+function startMediaCleanup() {
+  const run = async () => {
+    try {
+      const cutoff = Date.now() - MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const removed = await getBackend().cleanup(cutoff);
+      if (removed) {
+        log.info(`Removed ${removed} file(s) older than ${MEDIA_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      log.error({ err: error }, 'Error cleaning up media');
+    }
+  };
+
+  run();
+  setInterval(run, MEDIA_CLEANUP_INTERVAL);
+  log.info(`Storage: ${MEDIA_STORAGE}, retention ${MEDIA_RETENTION_DAYS} days, signed URLs valid ${MEDIA_URL_TTL}s`);
+}
+
+module.exports = {
+  MEDIA_STORAGE,
+  saveMedia,
+  getMediaUrl,
+  getLocalMedia,
+  verifyMediaToken,
+  registerMediaBackend,
+  startMediaCleanup,
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const { dataPath } = require('./storage');
+const { DATA_FOLDER } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('history');
+
+// ============ HISTORIAL DE MENSAJES ============
+// Guarda en SQLite (./data/messages.db) los mensajes entrantes y salientes de cada
+// sesión, para consultar conversaciones sin revisar el teléfono.
+
+const MESSAGES_DB = dataPath('messages.db');
+// Los mensajes se borran después de estos días
+const MESSAGE_RETENTION_DAYS = parseFloat(process.env.MESSAGE_RETENTION_DAYS) || 90;
+const MESSAGE_CLEANUP_INTERVAL = 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 200;
+
+let db = null;
+
+// Abrir la base al primer uso (better-sqlite3 es síncrono)
+function getDb() {
+  if (!db) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(DATA_FOLDER, { recursive: true });
+    db = new Database(MESSAGES_DB);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        chat TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        wa_message_id TEXT,
+        type TEXT NOT NULL,
+        text TEXT,
+        media TEXT,
+        status TEXT,
+        push_name TEXT,
+        participant TEXT,
+        timestamp INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS messages_chat ON messages (session_id, chat, timestamp);
+      CREATE INDEX IF NOT EXISTS messages_wa_id ON messages (session_id, wa_message_id);
+    `);
+    migrate(db);
+  }
+  return db;
+}
+
+// Columnas agregadas después de la primera versión de la tabla
+function migrate(database) {
+  const columns = database.prepare('PRAGMA table_info(messages)').all().map((column) => column.name);
+  // JID exacto del chat y del autor, para citar, reaccionar, editar o borrar
+  if (!columns.includes('remote_jid')) database.exec('ALTER TABLE messages ADD COLUMN remote_jid TEXT');
+  if (!columns.includes('participant_jid')) database.exec('ALTER TABLE messages ADD COLUMN participant_jid TEXT');
+}
+
+function clampLimit(limit, fallback = 50) {
+  const value = parseInt(limit, 10);
+  return Math.min(Number.isFinite(value) && value > 0 ? value : fallback, MAX_PAGE_SIZE);
+}
+
+function clampOffset(offset) {
+  const value = parseInt(offset, 10);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+function toRecord(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    chat: row.chat,
+    direction: row.direction,
+    waMessageId: row.wa_message_id,
+    type: row.type,
+    text: row.text,
+    media: row.media ? JSON.parse(row.media) : null,
+    status: row.status,
+    pushName: row.push_name,
+    participant: row.participant,
+    remoteJid: row.remote_jid,
+    participantJid: row.participant_jid,
+    timestamp: new Date(row.timestamp).toISOString(),
+  };
+}
+
+// Tipo y texto de un contenido saliente de Baileys
+function describeContent(content) {
+  if (content.react) return { type: 'reaction', text: content.react.text ? `[${content.react.text} Reacción]` : '[Reacción eliminada]' };
+  if (content.edit) return { type: 'edit', text: content.text };
+  if (content.delete) return { type: 'delete', text: '[🗑️ Mensaje eliminado]' };
+  if (content.poll) return { type: 'poll', text: `[📊 ${content.poll.name}]` };
+  if (content.text !== undefined) return { type: 'text', text: content.text };
+  if (content.location) return { type: 'location', text: content.location.name || '[📍 Ubicación]' };
+  if (content.contacts) return { type: 'contact', text: `[👤 ${content.contacts.displayName || 'Contacto'}]` };
+
+  for (const type of ['image', 'video', 'audio', 'document', 'sticker']) {
+    if (content[type]) return { type, text: content.caption || `[${type}]` };
+  }
+  return { type: 'unknown', text: null };
+}
+
+// Referencia a la media saliente (solo URLs públicas; los archivos locales se borran al enviar)
+function describeMedia(content) {
+  const type = ['image', 'video', 'audio', 'document', 'sticker'].find((key) => content[key]);
+  if (!type) return null;
+
+  const url = content[type].url;
+  return {
+    mimetype: content.mimetype || null,
+    fileName: content.fileName || null,
+    url: typeof url === 'string' && /^https?:\/\//.test(url) ? url : null,
+  };
+}
+
+// Mensaje entrante ya normalizado (payload de inbound.js)
+function recordInbound(session, { chat, payload, pushName, participant = null, remoteJid = null, participantJid = null }) {
+  getDb().prepare(`
+    INSERT OR IGNORE INTO messages
+      (id, session_id, chat, direction, wa_message_id, type, text, media, status, push_name, participant, timestamp, updated_at, remote_jid, participant_jid)
+    VALUES (?, ?, ?, 'in', ?, ?, ?, ?, 'received', ?, ?, ?, ?, ?, ?)
+  `).run(
+    `${session.id}:in:${payload.messageId}`,
+    session.id,
+    chat,
+    payload.messageId,
+    payload.type,
+    payload.text,
+    payload.media ? JSON.stringify(payload.media) : null,
+    pushName || null,
+    participant,
+    payload.timestamp * 1000,
+    Date.now(),
+    remoteJid,
+    participantJid,
+  );
+}
+
+// Mismo chat que los entrantes: los dígitos del JID que usó WhatsApp (pueden diferir del
+// E.164 del envío, p. ej. 521... en México), o el JID de grupos y LIDs. Antes de enviarse
+// el mensaje solo tiene el teléfono del envío.
+function outboundChat(entry) {
+  return (entry.jid || entry.phone).replace(/@s\.whatsapp\.net$/, '');
+}
+
+// Mensaje saliente de la cola; se vuelve a llamar en cada cambio de estado
+function recordOutbound(entry) {
+  const { type, text } = describeContent(entry.content);
+  const media = describeMedia(entry.content);
+
+  getDb().prepare(`
+    INSERT INTO messages
+      (id, session_id, chat, direction, wa_message_id, type, text, media, status, timestamp, updated_at, remote_jid)
+    VALUES (?, ?, ?, 'out', ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET
+      chat = excluded.chat,
+      wa_message_id = excluded.wa_message_id,
+      status = excluded.status,
+      updated_at = excluded.updated_at,
+      remote_jid = excluded.remote_jid
+  `).run(
+    `${entry.sessionId}:out:${entry.id}`,
+    entry.sessionId,
+    outboundChat(entry),
+    entry.waMessageId,
+    type,
+    text,
+    media ? JSON.stringify(media) : null,
+    entry.status,
+    new Date(entry.createdAt).getTime(),
+    Date.now(),
+    entry.jid || null,
+  );
+}
+
+// Buscar un mensaje por su id de WhatsApp
+function findMessage(session, waMessageId) {
+  const row = getDb().prepare(`
+    SELECT * FROM messages WHERE session_id = ? AND wa_message_id = ? ORDER BY timestamp DESC LIMIT 1
+  `).get(session.id, waMessageId);
+  return row ? toRecord(row) : null;
+}
+
+// Chats de una sesión con su último mensaje, del más reciente al más viejo
+function listChats(session, { limit, offset } = {}) {
+  const rows = getDb().prepare(`
+    SELECT chat, COUNT(*) AS count, MAX(timestamp) AS last_at,
+      MAX(CASE WHEN direction = 'in' THEN push_name END) AS push_name
+    FROM messages WHERE session_id = ?
+    GROUP BY chat ORDER BY last_at DESC LIMIT ? OFFSET ?
+  `).all(session.id, clampLimit(limit), clampOffset(offset));
+
+  const last = getDb().prepare(`
+    SELECT * FROM messages WHERE session_id = ? AND chat = ? ORDER BY timestamp DESC LIMIT 1
+  `);
+  const { total } = getDb().prepare('SELECT COUNT(DISTINCT chat) AS total FROM messages WHERE session_id = ?').get(session.id);
+
+  return {
+    total,
+    chats: rows.map((row) => ({
+      chat: row.chat,
+      pushName: row.push_name,
+      count: row.count,
+      lastMessage: toRecord(last.get(session.id, row.chat)),
+    })),
+  };
+}
+
+// Conversación con un contacto o grupo, del mensaje más reciente hacia atrás
+function getConversation(session, chat, { limit, offset } = {}) {
+  const { total } = getDb().prepare('SELECT COUNT(*) AS total FROM messages WHERE session_id = ? AND chat = ?').get(session.id, chat);
+  const rows = getDb().prepare(`
+    SELECT * FROM messages WHERE session_id = ? AND chat = ?
+    ORDER BY timestamp DESC LIMIT ? OFFSET ?
+  `).all(session.id, chat, clampLimit(limit), clampOffset(offset));
+
+  return { total, messages: rows.map(toRecord) };
+}
+
+// Buscar texto en los mensajes de la sesión (opcionalmente en un solo chat)
+function searchMessages(session, query, { chat, limit, offset } = {}) {
+  const pattern = `%${query.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+  const filter = chat ? 'AND chat = @chat' : '';
+  const params = { sessionId: session.id, pattern, ...(chat && { chat }) };
+
+  const { total } = getDb().prepare(`
+    SELECT COUNT(*) AS total FROM messages
+    WHERE session_id = @sessionId AND text LIKE @pattern ESCAPE '\\' ${filter}
+  `).get(params);
+  const rows = getDb().prepare(`
+    SELECT * FROM messages
+    WHERE session_id = @sessionId AND text LIKE @pattern ESCAPE '\\' ${filter}
+    ORDER BY timestamp DESC LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: clampLimit(limit), offset: clampOffset(offset) });
+
+  return { total, messages: rows.map(toRecord) };
+}
+
+// Borrar el historial de una sesión eliminada
+function clearMessages(session) {
+  getDb().prepare('DELETE FROM messages WHERE session_id = ?').run(session.id);
+}
+
+// Borrar periódicamente los mensajes más viejos que la retención
+function startMessageCleanup() {
+  const run = () => {
+    try {
+      const cutoff = Date.now() - MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const { changes } = getDb().prepare('DELETE FROM messages WHERE timestamp < ?').run(cutoff);
+      if (changes) {
+        log.info(`Removed ${changes} message(s) older than ${MESSAGE_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      log.error({ err: error }, 'Error cleaning up messages');
+    }
+  };
+
+  run();
+  setInterval(run, MESSAGE_CLEANUP_INTERVAL);
+  log.info(`Message store: ${MESSAGES_DB}, retention ${MESSAGE_RETENTION_DAYS} days`);
+}
+
+module.exports = {
+  recordInbound,
+  recordOutbound,
+  findMessage,
+  listChats,
+  getConversation,
+  searchMessages,
+  clearMessages,
+  startMessageCleanup,
+};
@@ -0,0 +1,120 @@
+const client = require('prom-client');
+
+// ============ MÉTRICAS (PROMETHEUS) ============
+// Contadores e histogramas que se exponen en /metrics. Los módulos solo llaman a
+// las funciones record*; las etiquetas se mantienen acotadas (sesión, tipo, motivo).
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const messagesReceived = new client.Counter({
+  name: 'whatsapp_messages_received_total',
+  help: 'Inbound messages forwarded to the processor',
+  labelNames: ['session', 'type'],
+  registers: [register],
+});
+
+const messagesSent = new client.Counter({
+  name: 'whatsapp_messages_sent_total',
+  help: 'Outbound messages delivered to WhatsApp',
+  labelNames: ['session', 'type'],
+  registers: [register],
+});
+
+const sendFailures = new client.Counter({
+  name: 'whatsapp_send_failures_total',
+  help: 'Failed send attempts; outcome is "retry" or "failed" when the message gives up',
+  labelNames: ['session', 'type', 'outcome'],
+  registers: [register],
+});
+
+const edgeDuration = new client.Histogram({
+  name: 'whatsapp_edge_function_duration_seconds',
+  help: 'Latency of each edge function call',
+  labelNames: ['session', 'result'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const edgeErrors = new client.Counter({
+  name: 'whatsapp_edge_function_errors_total',
+  help: 'Failed edge function calls by reason (timeout, network, http_<status>, invalid_response)',
+  labelNames: ['session', 'reason'],
+  registers: [register],
+});
+
+const reconnects = new client.Counter({
+  name: 'whatsapp_reconnects_total',
+  help: 'Scheduled reconnects by disconnect reason',
+  labelNames: ['session', 'reason'],
+  registers: [register],
+});
+
+const credentialSyncs = new client.Counter({
+  name: 'whatsapp_credentials_sync_total',
+  help: 'Credential writes to the store and remote copies, by result',
+  labelNames: ['session', 'store', 'operation', 'result'],
+  registers: [register],
+});
+
+// Tipo de un contenido saliente, con los mismos nombres que los mensajes entrantes
+const OUTBOUND_TYPES = {
+  react: 'reaction',
+  edit: 'edit',
+  delete: 'delete',
+  poll: 'poll',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  document: 'document',
+  sticker: 'sticker',
+  location: 'location',
+  contacts: 'contact',
+  text: 'text',
+};
+
+function contentType(content) {
+  const key = Object.keys(OUTBOUND_TYPES).find((type) => content?.[type] !== undefined);
+  return key ? OUTBOUND_TYPES[key] : 'unknown';
+}
+
+function recordInboundMessage(session, type) {
+  messagesReceived.inc({ session: session.id, type: type || 'unknown' });
+}
+
+function recordOutboundMessage(session, content) {
+  messagesSent.inc({ session: session.id, type: contentType(content) });
+}
+
+function recordSendFailure(session, content, outcome) {
+  sendFailures.inc({ session: session.id, type: contentType(content), outcome });
+}
+
+// `reason` vacío significa que la llamada salió bien
+function recordEdgeCall(session, seconds, reason = null) {
+  edgeDuration.observe({ session: session.id, result: reason ? 'error' : 'success' }, seconds);
+  if (reason) edgeErrors.inc({ session: session.id, reason });
+}
+
+function recordReconnect(session, reason) {
+  reconnects.inc({ session: session.id, reason: String(reason ?? 'unknown') });
+}
+
+function recordCredentialSync(session, store, operation, success) {
+  credentialSyncs.inc({ session: session.id, store, operation, result: success ? 'success' : 'failure' });
+}
+
+// Texto en formato Prometheus
+async function getMetrics() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+  recordInboundMessage,
+  recordOutboundMessage,
+  recordSendFailure,
+  recordEdgeCall,
+  recordReconnect,
+  recordCredentialSync,
+  getMetrics,
+};
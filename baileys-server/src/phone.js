@@ -0,0 +1,53 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// ============ NORMALIZACIÓN DE TELÉFONOS ============
+// Los números se llevan a E.164 (solo dígitos, sin "+") antes de armar el JID.
+// Con DEFAULT_COUNTRY (código ISO, p. ej. "MX") se aceptan números nacionales;
+// sin él, todo número debe traer su código de país.
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || '').toUpperCase() || undefined;
+
+class PhoneValidationError extends Error {}
+
+function parseValid(value, country) {
+  const parsed = parsePhoneNumberFromString(value, country);
+  return parsed && parsed.isValid() ? parsed : null;
+}
+
+// Devolver el número en E.164 sin "+" (los JID completos se respetan)
+function normalizePhone(phone) {
+  const value = String(phone || '').trim();
+  if (value.includes('@')) return value;
+
+  const digits = value.replace(/\D/g, '');
+  if (!digits) {
+    throw new PhoneValidationError(`Invalid phone number: ${phone}`);
+  }
+
+  // "+52..." o "0052..." son siempre internacionales
+  const international = value.startsWith('+') || value.startsWith('00');
+  const parsed = international
+    ? parseValid(`+${digits.replace(/^00/, '')}`)
+    // Primero como número nacional del país por defecto, luego con código de país
+    : (DEFAULT_COUNTRY && parseValid(value, DEFAULT_COUNTRY)) || parseValid(`+${digits}`);
+
+  if (!parsed) {
+    throw new PhoneValidationError(`Invalid phone number: ${phone}`);
+  }
+  return parsed.number.slice(1);
+}
+
+// Identificador de chat: los dígitos del teléfono tal como los reporta WhatsApp
+// (el `phone` de los mensajes entrantes), o el JID de grupos y LIDs tal cual
+function normalizeChat(chat) {
+  const value = String(chat || '').trim();
+  if (value.includes('@')) return value;
+
+  const digits = value.replace(/\D/g, '');
+  if (!digits) {
+    throw new PhoneValidationError(`Invalid chat: ${chat}`);
+  }
+  return digits;
+}
+
+module.exports = { DEFAULT_COUNTRY, PhoneValidationError, normalizePhone, normalizeChat };
@@ -0,0 +1,87 @@
+const { BufferJSON, getAggregateVotesInPollMessage, updateMessageWithPollUpdate } = require('@whiskeysockets/baileys');
+const { readJson, writeJson } = require('./storage');
+
+// ============ ENCUESTAS ============
+// Los votos llegan cifrados: Baileys necesita el mensaje original de la encuesta
+// (con su messageSecret) para descifrarlos. Se guardan las encuestas enviadas y
+// los votos recibidos para calcular los resultados.
+
+const POLLS_FILE = 'polls.json';
+// Las encuestas más viejas ya no se pueden descifrar
+const POLL_RETENTION = (parseFloat(process.env.POLL_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// { "sessionId:waMessageId": encuesta } con los protos serializados con BufferJSON
+let polls = null;
+
+function loadPolls() {
+  if (!polls) polls = readJson(POLLS_FILE, {});
+  return polls;
+}
+
+function savePolls() {
+  const cutoff = Date.now() - POLL_RETENTION;
+  for (const [key, poll] of Object.entries(loadPolls())) {
+    if (new Date(poll.createdAt).getTime() < cutoff) delete polls[key];
+  }
+  writeJson(POLLS_FILE, polls);
+}
+
+// Los protos tienen Buffers (messageSecret, hashes de votos)
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value, BufferJSON.replacer));
+}
+
+function revive(value) {
+  return JSON.parse(JSON.stringify(value), BufferJSON.reviver);
+}
+
+// Guardar una encuesta recién enviada (resultado de sendMessage)
+function rememberPoll(session, sent) {
+  const creation = sent.message?.pollCreationMessage
+    || sent.message?.pollCreationMessageV2
+    || sent.message?.pollCreationMessageV3;
+  if (!creation || !sent.key?.id) return;
+
+  loadPolls()[`${session.id}:${sent.key.id}`] = {
+    sessionId: session.id,
+    waMessageId: sent.key.id,
+    jid: sent.key.remoteJid,
+    name: creation.name,
+    options: (creation.options || []).map((option) => option.optionName),
+    message: serialize(sent.message),
+    pollUpdates: [],
+    createdAt: new Date().toISOString(),
+  };
+  savePolls();
+}
+
+function getPoll(session, waMessageId) {
+  return loadPolls()[`${session.id}:${waMessageId}`] || null;
+}
+
+// Mensaje original para el getMessage del socket (descifrado de votos)
+function getPollMessage(session, waMessageId) {
+  const poll = getPoll(session, waMessageId);
+  return poll ? revive(poll.message) : undefined;
+}
+
+// Registrar votos nuevos y devolver los resultados: [{ name, voters: [jid] }].
+// Cada votante conserva solo su último voto (como hace Baileys); un voto sin
+// opciones es un voto retirado y se quita.
+function recordPollUpdates(session, waMessageId, pollUpdates) {
+  const poll = getPoll(session, waMessageId);
+  if (!poll) return null;
+
+  for (const pollUpdate of pollUpdates) {
+    updateMessageWithPollUpdate(poll, serialize(pollUpdate));
+  }
+  savePolls();
+
+  const results = getAggregateVotesInPollMessage({
+    message: revive(poll.message),
+    pollUpdates: revive(poll.pollUpdates),
+  }, session.sock?.user?.id);
+  return { poll, results };
+}
+
+module.exports = { rememberPoll, getPoll, getPollMessage, recordPollUpdates };
@@ -0,0 +1,464 @@
+const { getKeyAuthor, normalizeMessageContent, getContentType } = require('@whiskeysockets/baileys');
+const { EDGE_FUNCTION_URL, API_SECRET, GROUP_MESSAGES_ENABLED } = require('./config');
+const { enqueueMessage, findByWaMessageId } = require('./queue');
+const { toJid } = require('./whatsapp');
+const { EVENTS, emitEvent } = require('./events');
+const { signatureHeaders } = require('./signing');
+const { normalizeMessage } = require('./inbound');
+const { getMediaUrl } = require('./media-store');
+const { jidUser, isLidJid, learnFromMessageKey, resolvePhone } = require('./lid-map');
+const { recordInbound } = require('./message-store');
+const { markSeen, forgetSeen } = require('./dedupe');
+const { addDeadLetter, listDeadLetters, getDeadLetter, recordReplayFailure, removeDeadLetter } = require('./dead-letters');
+const { recordPollUpdates } = require('./polls');
+const { evaluateRules, fallbackReply } = require('./rules');
+const { isBotActive, pauseForHumanReply } = require('./handoff');
+const { recordInboundMessage, recordEdgeCall } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('processor');
+
+// Las llamadas van firmadas en los headers. Solo para una edge function antigua que
+// todavía no verifica la firma, EDGE_FUNCTION_SECRET_IN_BODY=true manda además el secreto en el body.
+const SECRET_IN_BODY = process.env.EDGE_FUNCTION_SECRET_IN_BODY === 'true';
+
+// ============ PROCESAMIENTO DE MENSAJES ============
+
+// Reintentos de la llamada a la edge function antes de pasar a dead letters
+const EDGE_MAX_ATTEMPTS = parseInt(process.env.EDGE_FUNCTION_MAX_ATTEMPTS, 10) || 3;
+const EDGE_RETRY_DELAY = 2000;
+const EDGE_TIMEOUT = parseInt(process.env.EDGE_FUNCTION_TIMEOUT_MS, 10) || 30000;
+
+// URL del procesador; las pruebas la apuntan a un procesador local
+let edgeFunctionUrl = EDGE_FUNCTION_URL;
+
+function setEdgeFunctionUrl(url) {
+  edgeFunctionUrl = url;
+}
+
+// `reason` resume la falla para las métricas (timeout, network, http_<status>, invalid_response)
+class EdgeFunctionError extends Error {
+  constructor(message, { retryable = true, reason = 'network' } = {}) {
+    super(message);
+    this.retryable = retryable;
+    this.reason = reason;
+  }
+}
+
+// Cola por chat: los mensajes de un mismo chat se procesan en orden y los de
+// chats distintos en paralelo, así una respuesta lenta no frena a los demás
+const chatChains = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function runInChat(session, chat, task) {
+  const key = `${session.id}:${chat}`;
+  const previous = chatChains.get(key) || Promise.resolve();
+  const next = previous.then(task).catch((err) => {
+    log.error({ sessionId: session.id, err }, `Error processing message from ${chat}`);
+  });
+
+  chatChains.set(key, next);
+  next.then(() => {
+    if (chatChains.get(key) === next) chatChains.delete(key);
+  });
+  return next;
+}
+
+// En grupos la respuesta va al grupo, no al participante; si el teléfono
+// de un LID no se conoce se responde al LID
+function replyTarget(request) {
+  return request.groupId || request.jid || request.phone;
+}
+
+// JID al que se envían las respuestas. El teléfono de un mensaje entrante son los
+// dígitos del JID de WhatsApp, que no siempre son un E.164 válido (los móviles de
+// México llegan como 521...): se responde a ese mismo JID sin volver a validarlo.
+function replyJid(request) {
+  return request.groupId || request.jid || toJid(request.phone);
+}
+
+// Respuestas de las reglas locales; devuelve true si la edge function debe omitirse
+function applyLocalRules(session, request) {
+  try {
+    const { replies, stop } = evaluateRules(session, { ...request, text: request.text ?? request.message });
+    for (const reply of replies) {
+      log.info({ sessionId: session.id, phone: request.phone }, `Replying (${reply.source})`);
+      enqueueMessage(session, replyJid(request), reply.content);
+    }
+    return stop;
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, 'Error evaluating rules');
+    return false;
+  }
+}
+
+// Una llamada a la edge function, con su latencia y resultado en las métricas
+async function callEdgeFunction(session, request) {
+  const startedAt = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+  try {
+    const data = await requestEdgeFunction(request);
+    recordEdgeCall(session, elapsed());
+    return data;
+  } catch (error) {
+    recordEdgeCall(session, elapsed(), error.reason || 'unknown');
+    throw error;
+  }
+}
+
+// Los 4xx (salvo 408/429) no se reintentan
+async function requestEdgeFunction(request) {
+  const body = JSON.stringify({
+    ...request,
+    ...(SECRET_IN_BODY && { secret: API_SECRET }),
+  });
+
+  let response;
+  try {
+    response = await fetch(edgeFunctionUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...signatureHeaders(API_SECRET, body),
+      },
+      body,
+      signal: AbortSignal.timeout(EDGE_TIMEOUT),
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new EdgeFunctionError(`Timed out after ${EDGE_TIMEOUT}ms`, { reason: 'timeout' });
+    }
+    throw new EdgeFunctionError(error.message);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new EdgeFunctionError(`HTTP ${response.status}`, { retryable, reason: `http_${response.status}` });
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new EdgeFunctionError(`Invalid JSON response: ${error.message}`, { retryable: false, reason: 'invalid_response' });
+  }
+}
+
+// Llamar a la edge function con reintentos y encolar su respuesta (salvo que el bot
+// esté pausado en ese chat). Lanza el último error si se agotan los intentos.
+async function deliverToProcessor(session, request) {
+  let attempt = 0;
+
+  for (;;) {
+    attempt++;
+    try {
+      const data = await callEdgeFunction(session, request);
+      log.debug({ sessionId: session.id, response: data }, 'Edge function response');
+
+      if (data.success && data.reply) {
+        if (isBotActive(session, replyTarget(request))) {
+          enqueueMessage(session, replyJid(request), { text: data.reply });
+        } else {
+          log.info({ sessionId: session.id }, `Bot paused in ${replyTarget(request)}, reply not sent`);
+        }
+      }
+      return data;
+    } catch (error) {
+      error.attempts = attempt;
+      if (!error.retryable || attempt >= EDGE_MAX_ATTEMPTS) throw error;
+
+      const delay = EDGE_RETRY_DELAY * 2 ** (attempt - 1);
+      log.warn({ sessionId: session.id, err: error }, `Edge function failed (attempt ${attempt}), retrying in ${delay/1000}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+// `context` lleva el payload normalizado del mensaje, `jid` si la respuesta no va al teléfono
+// (LID sin número conocido) y, en grupos, groupId, participant y mentions
+async function processIncomingMessage(session, phone, message, pushName, mediaType = null, mediaUrl = null, context = {}) {
+  log.debug({ sessionId: session.id, phone, connectedPhone: session.connectedPhone }, `Processing message: ${message} (mediaType: ${mediaType})`);
+
+  recordInboundMessage(session, context.type || mediaType || 'text');
+  emitEvent(EVENTS.MESSAGE_RECEIVED, session, { phone, message, pushName, mediaType, mediaUrl, toPhone: session.connectedPhone, ...context });
+
+  const request = {
+    phone,
+    message,
+    pushName,
+    mediaType,
+    mediaUrl,
+    toPhone: session.connectedPhone, // El número al que llegó el mensaje
+    sessionId: session.id,
+    ...context,
+  };
+
+  // Con el bot pausado la edge function recibe el mensaje (con botActive: false)
+  // pero no se envía ninguna respuesta automática
+  const botActive = isBotActive(session, replyTarget(request));
+  request.botActive = botActive;
+
+  // Una regla local que respondió puede reemplazar a la edge function
+  if (botActive && applyLocalRules(session, request)) {
+    return { success: true, handledBy: 'rules' };
+  }
+
+  try {
+    return await deliverToProcessor(session, request);
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, 'Error calling edge function');
+    addDeadLetter(session, request, error, error.attempts || 1);
+
+    // Que el cliente no se quede sin respuesta mientras la edge function no funciona
+    const fallback = botActive && fallbackReply(session, request);
+    if (fallback) {
+      log.info({ sessionId: session.id, phone: request.phone }, 'Sending fallback reply');
+      enqueueMessage(session, replyJid(request), fallback);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+// Volver a enviar un dead letter; si funciona se quita de la lista
+async function replayDeadLetter(session, entry) {
+  try {
+    // La URL firmada de la media pudo vencer mientras el mensaje esperaba
+    const mediaId = entry.request.media?.id;
+    const mediaUrl = mediaId && await getMediaUrl(mediaId);
+    if (mediaUrl) {
+      entry.request.media.url = mediaUrl;
+      entry.request.mediaUrl = mediaUrl;
+    }
+
+    const data = await deliverToProcessor(session, entry.request);
+    removeDeadLetter(entry);
+    log.info({ sessionId: session.id }, `Dead letter ${entry.id} replayed`);
+    return { success: true, response: data };
+  } catch (error) {
+    recordReplayFailure(entry, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Reenvío masivo por sesión (el último): { status, total, replayed, failed, startedAt, finishedAt }
+const bulkReplays = new Map();
+
+// Reenviar en segundo plano todos los dead letters de la sesión, en orden de llegada.
+// Cada uno hace sus propios reintentos, así que no cabe en un request HTTP; el avance
+// se consulta con getBulkReplay. Devuelve null si ya hay uno en curso.
+function startBulkReplay(session) {
+  if (bulkReplays.get(session.id)?.status === 'running') return null;
+
+  const entries = listDeadLetters(session);
+  const replay = {
+    status: 'running',
+    total: entries.length,
+    replayed: 0,
+    failed: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  bulkReplays.set(session.id, replay);
+
+  (async () => {
+    for (const entry of entries) {
+      // Pudo reenviarse o descartarse uno por uno mientras tanto
+      if (!getDeadLetter(session, entry.id)) continue;
+
+      const result = await replayDeadLetter(session, entry);
+      if (result.success) replay.replayed++;
+      else replay.failed++;
+    }
+  })()
+    .catch((err) => log.error({ sessionId: session.id, err }, 'Error replaying dead letters'))
+    .finally(() => {
+      replay.status = 'done';
+      replay.finishedAt = new Date().toISOString();
+      log.info({ sessionId: session.id }, `Dead letter replay done: ${replay.replayed} replayed, ${replay.failed} failed`);
+    });
+
+  return replay;
+}
+
+function getBulkReplay(session) {
+  return bulkReplays.get(session.id) || null;
+}
+
+// Manejar mensajes entrantes de una sesión
+async function handleMessagesUpsert(session, { messages, type }) {
+  for (const msg of messages) {
+    // Guardar la relación LID <-> teléfono aunque el mensaje no se procese
+    learnFromMessageKey(session, msg.key);
+
+    if (msg.key.fromMe) {
+      if (type === 'notify') await handleOwnMessage(session, msg);
+      continue;
+    }
+
+    if (type !== 'notify') continue;
+
+    const isGroup = !!msg.key.remoteJid?.endsWith('@g.us');
+
+    // Los grupos solo se procesan si están habilitados
+    if (isGroup && !GROUP_MESSAGES_ENABLED) continue;
+
+    // Re-entregas después de una reconexión
+    if (!markSeen(session, msg.key)) {
+      log.debug({ sessionId: session.id }, `Duplicate message ${msg.key.id} ignored`);
+      continue;
+    }
+
+    // Sin await: cada chat avanza por su cuenta
+    runInChat(session, msg.key.remoteJid, async () => {
+      try {
+        await (isGroup ? handleGroupMessage(session, msg) : handleDirectMessage(session, msg));
+      } catch (error) {
+        // No llegó a la edge function ni a dead letters: una re-entrega puede reintentarlo
+        forgetSeen(session, msg.key);
+        throw error;
+      }
+    });
+  }
+}
+
+// Contenido que no escribe una persona (sincronización, cifrado, ajustes del chat)
+const SYSTEM_MESSAGE_TYPES = ['protocolMessage', 'senderKeyDistributionMessage', 'messageContextInfo'];
+
+// Mensaje propio. Con emitOwnEvents: false Baileys no emite lo que envía este socket,
+// así que un mensaje propio viene del teléfono: alguien del equipo tomó el chat.
+async function handleOwnMessage(session, msg) {
+  const message = normalizeMessageContent(msg.message);
+  const messageType = message && getContentType(message);
+  if (!messageType || SYSTEM_MESSAGE_TYPES.includes(messageType)) return;
+
+  // Lo que salió de la cola del servidor no cuenta como respuesta de una persona
+  if (findByWaMessageId(session.id, msg.key.id)) return;
+
+  const jid = msg.key.remoteJid;
+  if (!jid || jid === 'status@broadcast') return;
+
+  const chat = jid.endsWith('@g.us')
+    ? jid
+    : await resolvePhone(session, jid, msg.key.remoteJidAlt) || jid;
+  pauseForHumanReply(session, chat);
+}
+
+// Mensaje 1 a 1
+async function handleDirectMessage(session, msg) {
+  // senderPn/remoteJidAlt traen el teléfono real cuando remoteJid es un LID;
+  // si faltan, se busca en el mapeo guardado
+  const jid = msg.key.remoteJid;
+  const phone = await resolvePhone(session, jid, msg.key.senderPn || msg.key.remoteJidAlt);
+
+  if (!isLidJid(jid)) {
+    await forwardMessage(session, msg, phone);
+  } else if (phone) {
+    await forwardMessage(session, msg, phone, { lid: jidUser(jid) });
+  } else {
+    // Sin teléfono conocido se manda el LID, se avisa con phoneResolved: false
+    // y la respuesta va al JID del LID
+    log.info({ sessionId: session.id }, `LID without known phone: ${jid}`);
+    await forwardMessage(session, msg, jidUser(jid), { jid, lid: jidUser(jid), phoneResolved: false });
+  }
+}
+
+// Mensaje de grupo: el remitente es el participante y se incluyen las menciones
+async function handleGroupMessage(session, msg) {
+  const groupId = msg.key.remoteJid;
+  const participant = msg.key.participantPn || msg.key.participantAlt || msg.key.participant || '';
+  const phone = await resolvePhone(session, participant) || jidUser(participant);
+  const contextInfo = Object.values(msg.message || {}).find((content) => content?.contextInfo)?.contextInfo;
+  const mentions = (contextInfo?.mentionedJid || []).map((jid) => jid.split('@')[0]);
+
+  await forwardMessage(session, msg, phone, {
+    isGroup: true,
+    groupId,
+    participant,
+    mentions,
+  });
+}
+
+// Votos de encuestas (messages.update con pollUpdates). Llegan al procesador como
+// type "poll_vote" con la opción elegida por el votante y los resultados actuales.
+function handlePollUpdates(session, updates) {
+  for (const { key, update } of updates) {
+    if (!update?.pollUpdates?.length) continue;
+
+    const recorded = recordPollUpdates(session, key.id, update.pollUpdates);
+    if (!recorded) continue;
+
+    const { poll, results } = recorded;
+    const isGroup = !!key.remoteJid?.endsWith('@g.us');
+
+    for (const pollUpdate of update.pollUpdates) {
+      const voteKey = pollUpdate.pollUpdateMessageKey;
+      if (!voteKey || !markSeen(session, voteKey)) continue;
+
+      const voter = getKeyAuthor(voteKey, session.sock?.user?.id);
+      const selectedOptions = results.filter((result) => result.voters.includes(voter)).map((result) => result.name);
+
+      runInChat(session, key.remoteJid, async () => {
+        const phone = await resolvePhone(session, voter) || jidUser(voter);
+        const text = selectedOptions.length ? `[📊 ${selectedOptions.join(', ')}]` : '[📊 Voto retirado]';
+
+        log.info({ sessionId: session.id, phone }, `Poll vote on "${poll.name}": ${selectedOptions.join(', ')}`);
+        await processIncomingMessage(session, phone, text, '', null, null, {
+          ...(isGroup && { isGroup: true, groupId: key.remoteJid, participant: voter }),
+          messageId: voteKey.id,
+          timestamp: Math.floor(Number(pollUpdate.senderTimestampMs || Date.now()) / 1000),
+          type: 'poll_vote',
+          text,
+          poll: { messageId: poll.waMessageId, name: poll.name, options: poll.options },
+          vote: { selectedOptions },
+          results: results.map((result) => ({ name: result.name, votes: result.voters.length })),
+        });
+      });
+    }
+  }
+}
+
+// Normalizar el mensaje y enviarlo al procesador
+async function forwardMessage(session, msg, phone, context = {}) {
+  if (!phone) return;
+
+  const payload = await normalizeMessage(session, msg);
+  if (!payload) return;
+
+  // mediaType/mediaUrl se mantienen para la edge function actual
+  const mediaType = payload.media ? payload.type : null;
+  const mediaUrl = payload.media?.url || null;
+  const where = context.groupId ? ` in ${context.groupId}` : '';
+
+  log.info({ sessionId: session.id, phone }, `Message${where}: ${payload.text} (type: ${payload.type})`);
+
+  // El chat es el mismo destino al que van las respuestas
+  try {
+    recordInbound(session, {
+      chat: context.groupId || context.jid || phone,
+      payload,
+      pushName: msg.pushName,
+      participant: context.groupId ? phone : null,
+      remoteJid: msg.key.remoteJid,
+      participantJid: msg.key.participant || null,
+    });
+  } catch (error) {
+    log.error({ sessionId: session.id, err: error }, 'Error recording inbound message');
+  }
+  await processIncomingMessage(session, phone, payload.text, msg.pushName || '', mediaType, mediaUrl, {
+    ...context,
+    ...payload,
+  });
+}
+
+module.exports = {
+  processIncomingMessage,
+  replayDeadLetter,
+  startBulkReplay,
+  getBulkReplay,
+  handleMessagesUpsert,
+  handlePollUpdates,
+  setEdgeFunctionUrl,
+};
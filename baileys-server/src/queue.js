@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { isConnected, sendContent, NotOnWhatsAppError } = require('./whatsapp');
+const { PhoneValidationError } = require('./phone');
+const { removeUploads } = require('./uploads');
+const { recordOutbound } = require('./message-store');
+const { rememberPoll } = require('./polls');
+const { hasGlobalCapacity, isRecipientReady, waitBeforeSend, recordSend, getThrottleState } = require('./throttle');
+const { recordOutboundMessage, recordSendFailure } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('queue');
+
+// ============ COLA DE MENSAJES SALIENTES ============
+// Los envíos se guardan en disco y se entregan cuando la sesión está conectada,
+// así no se pierden mensajes durante reconexiones o arranques en frío.
+
+const QUEUE_FILE = 'outbox.json';
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+const QUEUE_WORKER_INTERVAL = 5000;
+// Cuánto tiempo se conservan los mensajes ya resueltos para consultar su estado
+const QUEUE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+// Los cambios (altas, estados, acuses) se agrupan en una sola escritura a disco
+const SAVE_DELAY = 500;
+
+// Mensajes indexados por id (se cargan de disco al primer uso)
+let messages = null;
+// Índice "sessionId:waMessageId" -> id, para ubicar los acuses de recibo
+const byWaMessageId = new Map();
+// Sesiones que se están vaciando en este momento
+const draining = new Set();
+let saveTimer = null;
+
+function loadQueue() {
+  if (!messages) {
+    messages = new Map(readJson(QUEUE_FILE, []).map((entry) => [entry.id, entry]));
+    for (const entry of messages.values()) {
+      if (entry.waMessageId) byWaMessageId.set(`${entry.sessionId}:${entry.waMessageId}`, entry.id);
+    }
+  }
+  return messages;
+}
+
+// Programar la escritura: una campaña con sus acuses no reescribe el archivo en cada cambio
+function saveQueue() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeQueue();
+  }, SAVE_DELAY);
+}
+
+// Escribir ya lo pendiente (al apagar el servidor)
+function flushQueue() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  writeQueue();
+}
+
+function writeQueue() {
+  const cutoff = Date.now() - QUEUE_RETENTION;
+
+  for (const [id, entry] of loadQueue()) {
+    const done = entry.status !== 'queued';
+    if (done && new Date(entry.updatedAt).getTime() < cutoff) {
+      messages.delete(id);
+      byWaMessageId.delete(`${entry.sessionId}:${entry.waMessageId}`);
+    }
+  }
+
+  writeJson(QUEUE_FILE, [...messages.values()]);
+}
+
+// Reflejar el mensaje en el historial; un error ahí no debe afectar la cola
+function recordHistory(entry) {
+  try {
+    recordOutbound(entry);
+  } catch (error) {
+    log.error({ err: error }, 'Error recording outbound message');
+  }
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+// Agregar un mensaje a la cola y devolver su registro.
+// `files` son archivos locales del mensaje que se borran al terminar;
+// `options` se pasan a sendMessage (p. ej. { quoted } para responder citando).
+function enqueueMessage(session, phone, content, { files = [], options = null } = {}) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    phone,
+    content,
+    options,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    lastError: null,
+    waMessageId: null,
+    acks: [],
+    files,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  loadQueue().set(entry.id, entry);
+  saveQueue();
+  recordHistory(entry);
+  log.info({ sessionId: session.id, phone }, `Message ${entry.id} queued`);
+
+  // Intentar entregar de inmediato si la sesión está conectada
+  drainQueue(session).catch((err) => log.error({ sessionId: session.id, err }, 'Error draining queue'));
+
+  return entry;
+}
+
+function getQueuedMessage(id) {
+  return loadQueue().get(id) || null;
+}
+
+// Cancelar un mensaje que todavía no se envió
+function cancelQueuedMessage(id) {
+  const entry = loadQueue().get(id);
+  if (!entry || entry.status !== 'queued') return false;
+
+  updateMessageStatus(id, 'cancelled');
+  return true;
+}
+
+// Buscar un mensaje por el id que le asignó WhatsApp
+function findByWaMessageId(sessionId, waMessageId) {
+  const id = loadQueue() && byWaMessageId.get(`${sessionId}:${waMessageId}`);
+  return id ? messages.get(id) || null : null;
+}
+
+// Cambiar el estado de un mensaje (usado también por los acuses de recibo)
+function updateMessageStatus(id, status, fields = {}) {
+  const entry = loadQueue().get(id);
+  if (!entry) return null;
+
+  Object.assign(entry, fields, { status, updatedAt: new Date().toISOString() });
+  if (['sent', 'failed', 'cancelled'].includes(status) && entry.files?.length) {
+    removeUploads(entry.files);
+    entry.files = [];
+  }
+  if (entry.waMessageId) {
+    byWaMessageId.set(`${entry.sessionId}:${entry.waMessageId}`, entry.id);
+  }
+  saveQueue();
+  recordHistory(entry);
+  return entry;
+}
+
+function pendingEntries(session) {
+  return [...loadQueue().values()]
+    .filter((entry) => entry.sessionId === session.id && entry.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Siguiente mensaje que se puede enviar respetando el ritmo de envío
+function nextSendable(session) {
+  if (!hasGlobalCapacity(session)) return null;
+
+  const now = Date.now();
+  return pendingEntries(session).find((entry) => (
+    new Date(entry.nextAttemptAt).getTime() <= now && isRecipientReady(session, entry.phone)
+  )) || null;
+}
+
+// Entregar los mensajes pendientes de una sesión, en orden de llegada.
+// Lo que el throttle no deja enviar ahora queda para la próxima vuelta del worker.
+async function drainQueue(session) {
+  if (draining.has(session.id) || !isConnected(session)) return;
+  draining.add(session.id);
+
+  try {
+    let entry;
+    while ((entry = nextSendable(session))) {
+      await waitBeforeSend(session, entry.phone, entry.content);
+
+      // Si la conexión se cae a mitad, el resto espera a la próxima apertura
+      if (!isConnected(session)) break;
+
+      // Durante la espera el mensaje pudo cancelarse (DELETE, campaña cancelada)
+      entry = getQueuedMessage(entry.id);
+      if (!entry || entry.status !== 'queued') continue;
+
+      entry.attempts++;
+
+      try {
+        const sent = await sendContent(session, entry.phone, entry.content, entry.options || undefined);
+        recordSend(session, entry.phone);
+        recordOutboundMessage(session, entry.content);
+        if (entry.content.poll && sent) rememberPoll(session, sent);
+        updateMessageStatus(entry.id, 'sent', {
+          waMessageId: sent?.key?.id || null,
+          jid: sent?.key?.remoteJid || null,
+          sentAt: new Date().toISOString(),
+          lastError: null,
+        });
+      } catch (error) {
+        // Un número inválido o sin WhatsApp no se arregla reintentando
+        const permanent = error instanceof NotOnWhatsAppError || error instanceof PhoneValidationError;
+        const failed = permanent || entry.attempts >= entry.maxAttempts;
+        recordSendFailure(session, entry.content, failed ? 'failed' : 'retry');
+        if (failed) {
+          log.error({ sessionId: session.id, err: error }, `Message ${entry.id} failed after ${entry.attempts} attempts`);
+          updateMessageStatus(entry.id, 'failed', { lastError: error.message });
+        } else {
+          const delay = retryDelay(entry.attempts);
+          log.warn({ sessionId: session.id, err: error }, `Message ${entry.id} failed (attempt ${entry.attempts}), retrying in ${delay/1000}s`);
+          updateMessageStatus(entry.id, 'queued', {
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+          });
+        }
+      }
+    }
+  } finally {
+    draining.delete(session.id);
+  }
+}
+
+// Profundidad de la cola y estado del throttle de una sesión
+function getQueueState(session) {
+  const pending = pendingEntries(session);
+  const now = Date.now();
+
+  return {
+    sessionId: session.id,
+    depth: pending.length,
+    due: pending.filter((entry) => new Date(entry.nextAttemptAt).getTime() <= now).length,
+    oldestQueuedAt: pending[0]?.createdAt || null,
+    draining: draining.has(session.id),
+    throttle: getThrottleState(session),
+  };
+}
+
+// Revisar periódicamente los reintentos pendientes de todas las sesiones
+function startQueueWorker(getSessions) {
+  setInterval(() => {
+    for (const session of getSessions()) {
+      drainQueue(session).catch((err) => log.error({ sessionId: session.id, err }, 'Error draining queue'));
+    }
+  }, QUEUE_WORKER_INTERVAL);
+
+  log.info(`Worker enabled every ${QUEUE_WORKER_INTERVAL / 1000}s (max ${MAX_ATTEMPTS} attempts per message)`);
+}
+
+// Vista pública de un mensaje de la cola
+function getMessageInfo(entry) {
+  return {
+    id: entry.id,
+    sessionId: entry.sessionId,
+    phone: entry.phone,
+    status: entry.status,
+    attempts: entry.attempts,
+    lastError: entry.lastError,
+    waMessageId: entry.waMessageId,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    sentAt: entry.sentAt || null,
+    deliveredAt: entry.deliveredAt || null,
+    readAt: entry.readAt || null,
+    acks: entry.acks || [],
+  };
+}
+
+module.exports = {
+  enqueueMessage,
+  getQueuedMessage,
+  cancelQueuedMessage,
+  findByWaMessageId,
+  updateMessageStatus,
+  drainQueue,
+  getQueueState,
+  startQueueWorker,
+  flushQueue,
+  getMessageInfo,
+};
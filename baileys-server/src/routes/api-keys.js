@@ -0,0 +1,51 @@
+const express = require('express');
+const {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  validateScopes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getApiKeyInfo,
+} = require('../api-keys');
+
+// ============ RUTAS DE API KEYS ============
+// Requieren el scope admin (se aplica al montar el router)
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ keys: listApiKeys().map(getApiKeyInfo), scopes: SCOPES });
+});
+
+router.post('/', (req, res) => {
+  const { name, scopes, rateLimit = DEFAULT_RATE_LIMIT } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name required' });
+  }
+
+  const error = validateScopes(scopes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!Number.isInteger(rateLimit) || rateLimit < 1) {
+    return res.status(400).json({ error: 'rateLimit must be a positive integer (requests per minute)' });
+  }
+
+  const { key, record } = createApiKey({ name, scopes, rateLimit });
+  // La llave completa solo se devuelve aquí
+  res.status(201).json({ success: true, key, apiKey: getApiKeyInfo(record) });
+});
+
+// Revocar (se conserva el registro para auditoría)
+router.delete('/:id', (req, res) => {
+  const record = revokeApiKey(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json({ success: true, apiKey: getApiKeyInfo(record) });
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { STATES, getChatState, setChatState, listChatStates } = require('../handoff');
+const { normalizeChat, PhoneValidationError } = require('../phone');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE PAUSA DEL BOT POR CHAT ============
+// Se montan dentro de las rutas por sesión (/api/bot, /api/sessions/:sessionId/bot).
+// `:chat` es un teléfono o el JID de un grupo.
+
+const router = express.Router({ mergeParams: true });
+
+const loadChat = (req, res, next) => {
+  try {
+    req.chat = normalizeChat(req.params.chat);
+    next();
+  } catch (error) {
+    if (error instanceof PhoneValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+};
+
+// Chats pausados o atendidos por una persona
+router.get('/chats', requireScope('read'), (req, res) => {
+  res.json({ chats: listChatStates(req.waSession) });
+});
+
+router.get('/chats/:chat', requireScope('read'), loadChat, (req, res) => {
+  res.json(getChatState(req.waSession, req.chat));
+});
+
+// { "minutes": 120 } o { "until": "2026-10-20T09:00:00Z" } pausa hasta esa fecha;
+// sin ninguno, o con { "state": "human" }, el chat queda en manos de una persona hasta reactivarlo
+router.post('/chats/:chat/pause', requireScope('send'), loadChat, (req, res) => {
+  const { minutes, until, reason = 'api' } = req.body;
+  const state = req.body.state || (minutes || until ? 'paused' : 'human');
+
+  if (!STATES.includes(state) || state === 'active') {
+    return res.status(400).json({ error: 'state must be paused or human' });
+  }
+  if (minutes !== undefined && (!Number.isFinite(minutes) || minutes <= 0)) {
+    return res.status(400).json({ error: 'minutes must be a positive number' });
+  }
+  if (until !== undefined && Number.isNaN(new Date(until).getTime())) {
+    return res.status(400).json({ error: 'until must be a valid date' });
+  }
+
+  const pausedUntil = minutes ? new Date(Date.now() + minutes * 60 * 1000) : until;
+  res.json(setChatState(req.waSession, req.chat, { state, until: pausedUntil, reason }));
+});
+
+router.post('/chats/:chat/resume', requireScope('send'), loadChat, (req, res) => {
+  res.json(setChatState(req.waSession, req.chat, { state: 'active', reason: 'api' }));
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const {
+  DEFAULT_INTERVAL,
+  prepareRecipients,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  getCampaignInfo,
+} = require('../campaigns');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE CAMPAÑAS ============
+// Se montan dentro de las rutas por sesión (/api/campaigns, /api/sessions/:sessionId/campaigns)
+
+const router = express.Router({ mergeParams: true });
+
+// Resolver la campaña de la URL dentro de la sesión actual
+const loadCampaign = (req, res, next) => {
+  const campaign = getCampaign(req.waSession, req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  req.campaign = campaign;
+  next();
+};
+
+router.get('/', requireScope('read'), (req, res) => {
+  res.json({ campaigns: listCampaigns(req.waSession).map((campaign) => getCampaignInfo(campaign)) });
+});
+
+router.post('/', requireScope('send'), (req, res) => {
+  const { name, template, recipients, intervalMs = DEFAULT_INTERVAL, startAt } = req.body;
+
+  if (!template || typeof template !== 'string') {
+    return res.status(400).json({ error: 'template required' });
+  }
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    return res.status(400).json({ error: 'intervalMs must be a positive number' });
+  }
+  if (startAt && Number.isNaN(new Date(startAt).getTime())) {
+    return res.status(400).json({ error: 'startAt must be a valid date' });
+  }
+
+  const prepared = prepareRecipients(template, recipients);
+  if (prepared.error) {
+    return res.status(400).json({ error: prepared.error, details: prepared.details });
+  }
+
+  const campaign = createCampaign(req.waSession, { name, template, recipients: prepared.recipients, intervalMs, startAt });
+  res.status(201).json({ success: true, campaign: getCampaignInfo(campaign) });
+});
+
+// Detalle con el resultado de cada destinatario
+router.get('/:id', requireScope('read'), loadCampaign, (req, res) => {
+  res.json(getCampaignInfo(req.campaign, { includeRecipients: true }));
+});
+
+router.post('/:id/pause', requireScope('send'), loadCampaign, (req, res) => {
+  if (!pauseCampaign(req.campaign)) {
+    return res.status(409).json({ error: `Cannot pause a ${req.campaign.status} campaign` });
+  }
+  res.json({ success: true, campaign: getCampaignInfo(req.campaign) });
+});
+
+router.post('/:id/resume', requireScope('send'), loadCampaign, (req, res) => {
+  if (!resumeCampaign(req.campaign)) {
+    return res.status(409).json({ error: `Cannot resume a ${req.campaign.status} campaign` });
+  }
+  res.json({ success: true, campaign: getCampaignInfo(req.campaign) });
+});
+
+router.post('/:id/cancel', requireScope('send'), loadCampaign, (req, res) => {
+  if (!cancelCampaign(req.campaign)) {
+    return res.status(409).json({ error: `Cannot cancel a ${req.campaign.status} campaign` });
+  }
+  res.json({ success: true, campaign: getCampaignInfo(req.campaign) });
+});
+
+module.exports = router;
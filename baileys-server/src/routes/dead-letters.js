@@ -0,0 +1,48 @@
+const express = require('express');
+const { listDeadLetters, getDeadLetter, removeDeadLetter } = require('../dead-letters');
+const { replayDeadLetter, startBulkReplay, getBulkReplay } = require('../processor');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE DEAD LETTERS ============
+// Se montan dentro de las rutas por sesión (/api/dead-letters, /api/sessions/:sessionId/dead-letters)
+
+const router = express.Router({ mergeParams: true });
+
+const loadDeadLetter = (req, res, next) => {
+  const entry = getDeadLetter(req.waSession, req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  req.deadLetter = entry;
+  next();
+};
+
+// `replay` es el avance del último reenvío masivo
+router.get('/', requireScope('read'), (req, res) => {
+  res.json({ deadLetters: listDeadLetters(req.waSession), replay: getBulkReplay(req.waSession) });
+});
+
+// Reenviar todos los de la sesión en segundo plano, en orden de llegada
+router.post('/replay', requireScope('send'), (req, res) => {
+  const replay = startBulkReplay(req.waSession);
+  if (!replay) {
+    return res.status(409).json({ error: 'A replay is already running', replay: getBulkReplay(req.waSession) });
+  }
+  res.status(202).json({ success: true, replay });
+});
+
+router.get('/:id', requireScope('read'), loadDeadLetter, (req, res) => {
+  res.json(req.deadLetter);
+});
+
+router.post('/:id/replay', requireScope('send'), loadDeadLetter, async (req, res) => {
+  const result = await replayDeadLetter(req.waSession, req.deadLetter);
+  res.status(result.success ? 200 : 502).json(result);
+});
+
+router.delete('/:id', requireScope('send'), loadDeadLetter, (req, res) => {
+  removeDeadLetter(req.deadLetter);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const { VALID_EVENTS } = require('../webhooks');
+const { onEvent } = require('../events');
+const { listSessions } = require('../sessions');
+const { requireScope } = require('../auth');
+
+// ============ STREAM DE EVENTOS EN TIEMPO REAL (SSE) ============
+// GET /api/events mantiene la conexión abierta y envía cada evento del bus
+// (QR, conexión, mensajes, acuses y reconexiones) en formato Server-Sent Events.
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Eventos recientes para reenviar a quien se reconecta con Last-Event-ID
+const HISTORY_SIZE = 200;
+
+const history = [];
+let lastId = 0;
+
+onEvent((payload) => {
+  history.push({ id: ++lastId, payload });
+  if (history.length > HISTORY_SIZE) history.shift();
+});
+
+function writeEvent(res, id, payload) {
+  res.write(`id: ${id}\nevent: ${payload.event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+// ?sessionId=ventas&events=qr.generated,connection.update
+router.get('/', requireScope('read'), (req, res) => {
+  const sessionIds = req.query.sessionId ? String(req.query.sessionId).split(',') : null;
+  const events = req.query.events ? String(req.query.events).split(',') : null;
+
+  const invalid = (events || []).filter((event) => !VALID_EVENTS.includes(event));
+  if (invalid.length) {
+    return res.status(400).json({ error: `Unknown events: ${invalid.join(', ')} (valid: ${VALID_EVENTS.join(', ')})` });
+  }
+
+  const matches = ({ event, sessionId }) => (
+    (!sessionIds || sessionIds.includes(sessionId))
+    && (!events || events.includes('*') || events.includes(event))
+  );
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Evitar que proxies (nginx, Render) acumulen la respuesta
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Estado actual de las sesiones para pintar la pantalla sin esperar eventos
+  const snapshot = listSessions()
+    .filter((session) => !sessionIds || sessionIds.includes(session.id))
+    .map((session) => ({
+      sessionId: session.id,
+      status: session.connectionStatus,
+      phone: session.connectedPhone,
+      qr: session.qrCode,
+      pairingCode: session.pairingCode,
+      reconnectAttempts: session.reconnectAttempts,
+    }));
+  res.write(`event: snapshot\ndata: ${JSON.stringify({ sessions: snapshot })}\n\n`);
+
+  // Reenviar lo que se perdió durante la reconexión del cliente
+  const since = parseInt(req.get('Last-Event-ID'), 10);
+  if (since) {
+    for (const { id, payload } of history) {
+      if (id > since && matches(payload)) writeEvent(res, id, payload);
+    }
+  }
+
+  const unsubscribe = onEvent((payload) => {
+    if (matches(payload)) writeEvent(res, lastId, payload);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { listGroups, getGroup, createGroup, updateParticipants } = require('../groups');
+const { enqueueMessage } = require('../queue');
+const { toGroupJid, recipientErrorStatus } = require('../whatsapp');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE GRUPOS ============
+// Se montan dentro de las rutas por sesión (/api/groups, /api/sessions/:sessionId/groups)
+
+const router = express.Router({ mergeParams: true });
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+router.get('/', requireScope('read'), async (req, res) => {
+  try {
+    res.json({ groups: await listGroups(req.waSession) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireScope('session'), async (req, res) => {
+  const { subject, participants } = req.body;
+
+  if (!subject || !Array.isArray(participants) || participants.length === 0) {
+    return res.status(400).json({ error: 'subject and participants required' });
+  }
+
+  try {
+    const group = await createGroup(req.waSession, subject, participants);
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    res.status(recipientErrorStatus(error) || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:groupId', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await getGroup(req.waSession, req.params.groupId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:groupId/send', requireScope('send'), (req, res) => {
+  const { message } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'message required' });
+  }
+
+  try {
+    const entry = enqueueMessage(req.waSession, toGroupJid(req.params.groupId), { text: message });
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:groupId/participants', requireScope('session'), async (req, res) => {
+  const { action, participants } = req.body;
+
+  if (!PARTICIPANT_ACTIONS.includes(action) || !Array.isArray(participants) || participants.length === 0) {
+    return res.status(400).json({ error: `action (${PARTICIPANT_ACTIONS.join(', ')}) and participants required` });
+  }
+
+  try {
+    const results = await updateParticipants(req.waSession, req.params.groupId, participants, action);
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(recipientErrorStatus(error) || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { listChats, getConversation, searchMessages } = require('../message-store');
+const { normalizeChat, PhoneValidationError } = require('../phone');
+const { requireScope } = require('../auth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('history');
+
+// ============ RUTAS DEL HISTORIAL DE MENSAJES ============
+// Se montan dentro de las rutas por sesión (/api/history, /api/sessions/:sessionId/history).
+// Todas aceptan ?limit= (máx. 200) y ?offset=.
+
+const router = express.Router({ mergeParams: true });
+
+router.use(requireScope('read'));
+
+function handleError(res, sessionId, error) {
+  if (error instanceof PhoneValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  log.error({ sessionId, err: error }, 'Error querying messages');
+  res.status(500).json({ error: error.message });
+}
+
+// Chats con su último mensaje, del más reciente al más viejo
+router.get('/chats', (req, res) => {
+  try {
+    res.json(listChats(req.waSession, req.query));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// Conversación con un contacto (teléfono) o grupo (JID), del más reciente hacia atrás
+router.get('/chats/:chat', (req, res) => {
+  try {
+    res.json(getConversation(req.waSession, normalizeChat(req.params.chat), req.query));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// ?q=texto&chat=5215512345678
+router.get('/search', (req, res) => {
+  const { q, chat } = req.query;
+  if (!q || typeof q !== 'string') {
+    return res.status(400).json({ error: 'q required' });
+  }
+
+  try {
+    res.json(searchMessages(req.waSession, q, { ...req.query, chat: chat ? normalizeChat(chat) : null }));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+module.exports = router;
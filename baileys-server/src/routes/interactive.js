@@ -0,0 +1,115 @@
+const express = require('express');
+const { getQueuedMessage, cancelQueuedMessage, enqueueMessage } = require('../queue');
+const {
+  MessageReferenceError,
+  reactToMessage,
+  replyToMessage,
+  editMessage,
+  deleteMessage,
+  validatePoll,
+  buildPollContent,
+} = require('../interactive');
+const { resolveRecipient, recipientErrorStatus } = require('../whatsapp');
+const { requireScope } = require('../auth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('api');
+
+// ============ RUTAS DE MENSAJES INTERACTIVOS ============
+// Se montan dentro de las rutas por sesión. `:id` es el messageId que devuelven
+// los envíos o el id de WhatsApp de un mensaje recibido.
+
+const router = express.Router({ mergeParams: true });
+
+function handleError(res, sessionId, error) {
+  if (error instanceof MessageReferenceError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  const status = recipientErrorStatus(error);
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  log.error({ sessionId, err: error }, 'Error sending interactive message');
+  res.status(500).json({ error: error.message });
+}
+
+function queued(res, entry) {
+  res.json({ success: true, messageId: entry.id, status: entry.status });
+}
+
+// { "emoji": "✅" } ("" quita la reacción)
+router.post('/messages/:id/react', requireScope('send'), (req, res) => {
+  const { emoji } = req.body;
+  if (typeof emoji !== 'string') {
+    return res.status(400).json({ error: 'emoji required' });
+  }
+
+  try {
+    queued(res, reactToMessage(req.waSession, req.params.id, emoji));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// { "message": "..." } citando el mensaje original
+router.post('/messages/:id/reply', requireScope('send'), (req, res) => {
+  if (!req.body.message) {
+    return res.status(400).json({ error: 'message required' });
+  }
+
+  try {
+    queued(res, replyToMessage(req.waSession, req.params.id, req.body.message));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// Editar el texto de un mensaje enviado
+router.patch('/messages/:id', requireScope('send'), (req, res) => {
+  if (!req.body.message) {
+    return res.status(400).json({ error: 'message required' });
+  }
+
+  try {
+    queued(res, editMessage(req.waSession, req.params.id, req.body.message));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// Borrar para todos un mensaje enviado; si todavía está en cola se cancela
+router.delete('/messages/:id', requireScope('send'), (req, res) => {
+  const entry = getQueuedMessage(req.params.id);
+  if (entry && entry.sessionId === req.waSession.id && entry.status === 'queued') {
+    cancelQueuedMessage(entry.id);
+    return res.json({ success: true, cancelled: true });
+  }
+
+  try {
+    queued(res, deleteMessage(req.waSession, req.params.id));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// { "phone": "...", "name": "¿Qué día prefieres?", "options": ["Lunes", "Martes"], "selectableCount": 1 }
+router.post('/send-poll', requireScope('send'), async (req, res) => {
+  const { phone } = req.body;
+  if (!phone) {
+    return res.status(400).json({ error: 'phone required' });
+  }
+
+  const error = validatePoll(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const to = await resolveRecipient(req.waSession, phone);
+    queued(res, enqueueMessage(req.waSession, to, buildPollContent(req.body)));
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const fs = require('fs');
+const multer = require('multer');
+const { enqueueMessage } = require('../queue');
+const {
+  UPLOADS_FOLDER,
+  MAX_UPLOAD_SIZE,
+  MediaValidationError,
+  prepareMedia,
+  buildMediaContent,
+  buildLocationContent,
+  buildContactsContent,
+} = require('../uploads');
+const { resolveRecipient, recipientErrorStatus } = require('../whatsapp');
+const { requireScope } = require('../auth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('api');
+
+// ============ RUTAS DE ENVÍO DE MEDIA ============
+// Se montan dentro de las rutas por sesión (/api/send-media, /api/sessions/:sessionId/send-media, ...)
+
+const router = express.Router({ mergeParams: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(UPLOADS_FOLDER, { recursive: true });
+      cb(null, UPLOADS_FOLDER);
+    },
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+});
+
+// multer con errores convertidos en 400
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Los campos booleanos llegan como texto en multipart
+function parseBoolean(value) {
+  if (value === undefined) return undefined;
+  return value === true || value === 'true';
+}
+
+function handleError(res, sessionId, error) {
+  if (error instanceof MediaValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  const status = recipientErrorStatus(error);
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  log.error({ sessionId, err: error }, 'Error sending media');
+  res.status(500).json({ error: error.message });
+}
+
+// Documento, audio/nota de voz, video, imagen o sticker.
+// Acepta JSON con `url` o `base64`, o multipart con el campo `file`.
+router.post('/send-media', requireScope('send'), uploadFile, async (req, res) => {
+  const { phone, type, url, base64, mimetype, caption, fileName } = req.body;
+
+  if (!phone || !type) {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+    return res.status(400).json({ error: 'phone and type required' });
+  }
+
+  let to;
+  try {
+    to = await resolveRecipient(req.waSession, phone);
+  } catch (error) {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+    return handleError(res, req.waSession.id, error);
+  }
+
+  try {
+    const media = await prepareMedia(type, { url, base64, file: req.file, mimetype });
+    const content = buildMediaContent(type, media, {
+      caption,
+      fileName: fileName || req.file?.originalname,
+      ptt: parseBoolean(req.body.ptt),
+    });
+
+    const entry = enqueueMessage(req.waSession, to, content, { files: [media.path] });
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+// Imagen desde una URL: misma descarga y validación que /send-media con type "image"
+router.post('/send-image', requireScope('send'), async (req, res) => {
+  const { phone, imageUrl, caption } = req.body;
+
+  if (!phone || !imageUrl) {
+    return res.status(400).json({ error: 'phone and imageUrl required' });
+  }
+
+  try {
+    const to = await resolveRecipient(req.waSession, phone);
+    const media = await prepareMedia('image', { url: imageUrl });
+    const entry = enqueueMessage(req.waSession, to, buildMediaContent('image', media, { caption }), { files: [media.path] });
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+router.post('/send-location', requireScope('send'), async (req, res) => {
+  const { phone } = req.body;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'phone required' });
+  }
+
+  try {
+    const to = await resolveRecipient(req.waSession, phone);
+    const entry = enqueueMessage(req.waSession, to, buildLocationContent(req.body));
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+router.post('/send-contact', requireScope('send'), async (req, res) => {
+  const { phone, contacts } = req.body;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'phone required' });
+  }
+
+  try {
+    const to = await resolveRecipient(req.waSession, phone);
+    const entry = enqueueMessage(req.waSession, to, buildContactsContent(contacts));
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    handleError(res, req.waSession.id, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { getRulesConfig, saveRulesConfig, validateRulesConfig, evaluateRules } = require('../rules');
+
+// ============ RUTAS DE REGLAS LOCALES ============
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(getRulesConfig());
+});
+
+// Reemplaza la configuración completa (mismo formato que ./data/rules.json)
+router.put('/', (req, res) => {
+  const error = validateRulesConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json({ success: true, config: saveRulesConfig(req.body) });
+});
+
+// Probar qué respondería el servidor a un mensaje, sin enviar nada ni gastar cooldowns
+// { "text": "horario", "type": "text", "phone": "5215512345678", "sessionId": "default" }
+router.post('/test', (req, res) => {
+  const { text = '', type = 'text', phone = 'test', pushName = '', isGroup = false, sessionId = 'default' } = req.body;
+  const result = evaluateRules({ id: sessionId }, { text, type, phone, pushName, isGroup }, { dryRun: true });
+  res.json({ ...result, wouldCallEdgeFunction: !result.stop });
+});
+
+module.exports = router;
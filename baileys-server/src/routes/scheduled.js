@@ -0,0 +1,84 @@
+const express = require('express');
+const {
+  validateSchedule,
+  createScheduled,
+  listScheduled,
+  getScheduled,
+  updateScheduled,
+  cancelScheduled,
+} = require('../scheduler');
+const { normalizePhone, PhoneValidationError } = require('../phone');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE MENSAJES PROGRAMADOS ============
+// Se montan dentro de las rutas por sesión (/api/scheduled, /api/sessions/:sessionId/scheduled)
+
+const router = express.Router({ mergeParams: true });
+
+// Normalizar el teléfono del cuerpo; devuelve el mensaje de error si no es válido
+function normalizeBodyPhone(body) {
+  if (body.phone === undefined) return null;
+  try {
+    body.phone = normalizePhone(body.phone);
+    return null;
+  } catch (error) {
+    if (error instanceof PhoneValidationError) return error.message;
+    throw error;
+  }
+}
+
+const loadScheduled = (req, res, next) => {
+  const item = getScheduled(req.waSession, req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
+  }
+  req.scheduled = item;
+  next();
+};
+
+// ?status=scheduled|completed|cancelled
+router.get('/', requireScope('read'), (req, res) => {
+  res.json({ scheduled: listScheduled(req.waSession, { status: req.query.status }) });
+});
+
+router.post('/', requireScope('send'), (req, res) => {
+  const { phone, message, sendAt, recurrence, endAt, timezone } = req.body;
+
+  if (!phone || !message) {
+    return res.status(400).json({ error: 'phone and message required' });
+  }
+
+  const error = validateSchedule({ sendAt, recurrence, endAt, timezone }) || normalizeBodyPhone(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const item = createScheduled(req.waSession, { phone: req.body.phone, message, sendAt, recurrence, endAt, timezone });
+  res.status(201).json({ success: true, scheduled: item });
+});
+
+router.get('/:id', requireScope('read'), loadScheduled, (req, res) => {
+  res.json(req.scheduled);
+});
+
+router.patch('/:id', requireScope('send'), loadScheduled, (req, res) => {
+  if (req.scheduled.status !== 'scheduled') {
+    return res.status(409).json({ error: `Cannot update a ${req.scheduled.status} message` });
+  }
+
+  const error = validateSchedule(req.body, { partial: true }) || normalizeBodyPhone(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ success: true, scheduled: updateScheduled(req.scheduled, req.body) });
+});
+
+router.delete('/:id', requireScope('send'), loadScheduled, (req, res) => {
+  if (req.scheduled.status !== 'scheduled') {
+    return res.status(409).json({ error: `Cannot cancel a ${req.scheduled.status} message` });
+  }
+  res.json({ success: true, scheduled: cancelScheduled(req.scheduled) });
+});
+
+module.exports = router;
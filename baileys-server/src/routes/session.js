@@ -0,0 +1,236 @@
+const express = require('express');
+const { getSessionInfo, connectWhatsApp, stopSession, requestPairingCode, getPairingInfo } = require('../sessions');
+const { clearSession, syncCredentials, rotateCredentialsKey } = require('../credentials');
+const { enqueueMessage, getQueuedMessage, getMessageInfo, getQueueState } = require('../queue');
+const { checkNumbers, resolveRecipient, recipientErrorStatus, isConnected } = require('../whatsapp');
+const { normalizePhone, PhoneValidationError } = require('../phone');
+const groupsRouter = require('./groups');
+const mediaRouter = require('./media');
+const interactiveRouter = require('./interactive');
+const campaignsRouter = require('./campaigns');
+const scheduledRouter = require('./scheduled');
+const historyRouter = require('./history');
+const deadLettersRouter = require('./dead-letters');
+const botRouter = require('./bot');
+const { requireScope } = require('../auth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('api');
+
+// ============ RUTAS POR SESIÓN ============
+// Se montan en /api/sessions/:sessionId y, para la sesión por defecto, en /api.
+// req.waSession lo asigna el middleware que monta el router.
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/status', requireScope('read'), (req, res) => {
+  const session = req.waSession;
+  res.json({
+    sessionId: session.id,
+    status: session.connectionStatus,
+    phone: session.connectedPhone,
+    hasQR: !!session.qrCode,
+    hasPairingCode: getPairingInfo(session).status === 'code_ready',
+    lastError: session.lastError,
+    persistenceEnabled: true,
+  });
+});
+
+router.get('/qr', requireScope('read'), (req, res) => {
+  const session = req.waSession;
+
+  if (session.connectionStatus === 'connected') {
+    return res.json({ status: 'already_connected', phone: session.connectedPhone });
+  }
+  
+  if (!session.qrCode) {
+    return res.json({ status: 'waiting', message: 'QR not ready yet, try again in a few seconds' });
+  }
+
+  res.json({ status: 'qr_ready', qr: session.qrCode });
+});
+
+// Vincular con código en lugar de QR: { "phone": "5215512345678" }
+router.post('/pairing-code', requireScope('session'), async (req, res) => {
+  const session = req.waSession;
+
+  if (session.connectionStatus === 'connected') {
+    return res.json({ status: 'already_connected', phone: session.connectedPhone });
+  }
+  if (!req.body.phone) {
+    return res.status(400).json({ error: 'phone required' });
+  }
+  if (session.sock?.authState?.creds?.registered) {
+    return res.status(409).json({ error: 'Session is already registered, logout first' });
+  }
+
+  try {
+    const phone = normalizePhone(req.body.phone);
+    res.json(await requestPairingCode(session, phone));
+  } catch (error) {
+    if (error instanceof PhoneValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error({ sessionId: session.id, err: error }, 'Error requesting pairing code');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/pairing-code', requireScope('read'), (req, res) => {
+  res.json(getPairingInfo(req.waSession));
+});
+
+router.post('/send', requireScope('send'), async (req, res) => {
+  const { phone, message } = req.body;
+
+  if (!phone || !message) {
+    return res.status(400).json({ error: 'phone and message required' });
+  }
+
+  try {
+    const to = await resolveRecipient(req.waSession, phone);
+    const entry = enqueueMessage(req.waSession, to, { text: message });
+    res.json({ success: true, messageId: entry.id, status: entry.status });
+  } catch (error) {
+    const status = recipientErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Consultar si uno o varios números tienen WhatsApp ({ phone } o { phones: [...] })
+router.post('/check-number', requireScope('read'), async (req, res) => {
+  const { phone, phones } = req.body;
+  const list = phones || (phone ? [phone] : []);
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return res.status(400).json({ error: 'phone or phones required' });
+  }
+  if (!isConnected(req.waSession)) {
+    return res.status(503).json({ error: 'WhatsApp not connected' });
+  }
+
+  try {
+    const results = await checkNumbers(req.waSession, list);
+    res.json(phones ? { results } : results[0]);
+  } catch (error) {
+    const status = recipientErrorStatus(error);
+    res.status(status || 500).json({ error: error.message });
+  }
+});
+
+// Estado de un mensaje enviado (queued, sent, delivered, read, failed o cancelled)
+router.get('/messages/:id', requireScope('read'), (req, res) => {
+  const entry = getQueuedMessage(req.params.id);
+
+  if (!entry || entry.sessionId !== req.waSession.id) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.json(getMessageInfo(entry));
+});
+
+// Mensajes en cola y estado del ritmo de envío
+router.get('/queue', requireScope('read'), (req, res) => {
+  res.json(getQueueState(req.waSession));
+});
+
+router.post('/logout', requireScope('session'), async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    if (session.sock) {
+      await session.sock.logout();
+    }
+    stopSession(session);
+    await clearSession(session);
+    session.reconnectAttempts = 0;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/reconnect', requireScope('session'), async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    log.info({ sessionId: session.id }, 'Manual reconnect requested');
+    
+    stopSession(session);
+    session.reconnectAttempts = 0;
+    
+    // Limpiar sesión para forzar nuevo QR
+    await clearSession(session);
+    
+    setTimeout(() => connectWhatsApp(session), 1000);
+    
+    res.json({ success: true, message: 'Reconnecting with fresh session...' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/clear-session', requireScope('session'), async (req, res) => {
+  const session = req.waSession;
+
+  try {
+    stopSession(session);
+    await clearSession(session);
+    session.reconnectAttempts = 0;
+    res.json({ success: true, message: 'Session cleared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forzar la escritura de credenciales (en Supabase, sube el estado completo)
+router.post('/sync-credentials', requireScope('session'), async (req, res) => {
+  try {
+    res.json(await syncCredentials(req.waSession));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Documentos, audio, video, stickers, ubicaciones y contactos
+router.use(mediaRouter);
+
+// Reacciones, respuestas citando, ediciones, borrados y encuestas
+router.use(interactiveRouter);
+
+// Volver a cifrar las credenciales guardadas con CREDENTIALS_ENCRYPTION_KEY
+router.post('/credentials/rotate-key', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await rotateCredentialsKey(req.waSession);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Campañas de envío masivo
+router.use('/campaigns', campaignsRouter);
+
+// Mensajes programados
+router.use('/scheduled', scheduledRouter);
+
+// Historial de mensajes entrantes y salientes
+router.use('/history', historyRouter);
+
+// Mensajes que la edge function no pudo procesar
+router.use('/dead-letters', deadLettersRouter);
+
+// Pausa del bot y atención humana por chat
+router.use('/bot', botRouter);
+
+// Grupos de la sesión
+router.use('/groups', groupsRouter);
+
+router.get('/', requireScope('read'), (req, res) => {
+  res.json(getSessionInfo(req.waSession));
+});
+
+module.exports = router;
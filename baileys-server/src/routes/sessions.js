@@ -0,0 +1,78 @@
+const express = require('express');
+const {
+  getSession,
+  listSessions,
+  createSession,
+  deleteSession,
+  getSessionInfo,
+  isValidSessionId,
+  isServerNameTaken,
+} = require('../sessions');
+const { DEFAULT_SESSION_ID } = require('../config');
+const sessionRouter = require('./session');
+const { requireScope } = require('../auth');
+
+// ============ RUTAS DE GESTIÓN DE SESIONES ============
+
+const router = express.Router();
+
+// Resolver la sesión indicada en la URL
+const loadSession = (req, res, next) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  req.waSession = session;
+  next();
+};
+
+router.get('/', requireScope('read'), (req, res) => {
+  res.json({ sessions: listSessions().map(getSessionInfo) });
+});
+
+router.post('/', requireScope('session'), (req, res) => {
+  const { id, serverName } = req.body;
+
+  if (!isValidSessionId(id)) {
+    return res.status(400).json({ error: 'id required (letters, numbers, "-" or "_", max 64)' });
+  }
+  if (getSession(id)) {
+    return res.status(409).json({ error: 'Session already exists' });
+  }
+  if (serverName !== undefined && (typeof serverName !== 'string' || !serverName.trim())) {
+    return res.status(400).json({ error: 'serverName must be a non-empty string' });
+  }
+  if (isServerNameTaken(id, serverName)) {
+    return res.status(409).json({ error: 'serverName already used by another session' });
+  }
+
+  try {
+    const session = createSession({ id, serverName });
+    res.status(201).json({ success: true, session: getSessionInfo(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:sessionId', requireScope('session'), loadSession, async (req, res) => {
+  if (req.waSession.id === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ error: 'The default session cannot be deleted, use /logout instead' });
+  }
+
+  try {
+    await deleteSession(req.waSession.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.use('/:sessionId', loadSession, sessionRouter);
+
+// Middleware para las rutas heredadas de /api (sesión por defecto)
+const useDefaultSession = (req, res, next) => {
+  req.waSession = getSession(DEFAULT_SESSION_ID);
+  next();
+};
+
+module.exports = { router, useDefaultSession };
@@ -0,0 +1,81 @@
+const express = require('express');
+const {
+  validateWebhook,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookInfo,
+  listDeliveries,
+} = require('../webhooks');
+
+// ============ RUTAS DE WEBHOOKS ============
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json({ webhooks: listWebhooks().map((webhook) => getWebhookInfo(webhook)) });
+});
+
+router.post('/', (req, res) => {
+  const { url, events, secret, sessionIds, description } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'url required' });
+  }
+
+  const error = validateWebhook({ url, events, secret, sessionIds, description });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = createWebhook({ url, events, secret, sessionIds, description });
+  // El secreto de firma solo se devuelve en la creación
+  res.status(201).json({ success: true, webhook: getWebhookInfo(webhook, { includeSecret: true }) });
+});
+
+// Log de entregas de todos los webhooks (?status=failed&limit=100)
+router.get('/deliveries', (req, res) => {
+  const { status, limit } = req.query;
+  res.json({ deliveries: listDeliveries({ status, limit: parseInt(limit, 10) || 50 }) });
+});
+
+router.get('/:id', (req, res) => {
+  const webhook = getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(getWebhookInfo(webhook));
+});
+
+router.patch('/:id', (req, res) => {
+  const error = validateWebhook(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = updateWebhook(req.params.id, req.body);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: getWebhookInfo(webhook) });
+});
+
+router.delete('/:id', (req, res) => {
+  if (!deleteWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true });
+});
+
+router.get('/:id/deliveries', (req, res) => {
+  if (!getWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const { status, limit } = req.query;
+  res.json({ deliveries: listDeliveries({ webhookId: req.params.id, status, limit: parseInt(limit, 10) || 50 }) });
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { readJson, writeJson, dataPath } = require('./storage');
+const { renderTemplate } = require('./campaigns');
+const { createLogger } = require('./logger');
+
+const log = createLogger('rules');
+
+// ============ REGLAS DE RESPUESTA LOCALES ============
+// Respuestas automáticas que no dependen de la edge function: reglas por palabra
+// clave, regex, tipo de mensaje u horario, mensaje de ausencia fuera de horario y
+// respuesta de respaldo cuando la edge function falla.
+// Se configuran en ./data/rules.json (el archivo se recarga al cambiar) o por la API.
+
+const RULES_FILE = 'rules.json';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'contact', 'reaction', 'poll_vote'];
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+const TIME_RANGE = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-4]):[0-5]\d$/;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const DEFAULT_CONFIG = {
+  timezone: process.env.TZ || 'UTC',
+  // { mon: ["09:00-14:00", "16:00-19:00"], ... }; sin horario se considera siempre abierto
+  businessHours: null,
+  awayMessage: null,
+  fallbackReply: null,
+  rules: [],
+};
+
+let config = null;
+let loadedMtime = 0;
+// Último envío por "sessionId:regla:teléfono" para el cooldown
+const lastReplies = new Map();
+
+function fileMtime() {
+  try {
+    return fs.statSync(dataPath(RULES_FILE)).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+// Cargar la configuración, releyéndola si el archivo se editó a mano
+function getRulesConfig() {
+  const mtime = fileMtime();
+  if (!config || mtime !== loadedMtime) {
+    const loaded = { ...DEFAULT_CONFIG, ...readJson(RULES_FILE, {}) };
+    const error = validateRulesConfig(loaded);
+    if (error && config) {
+      // Un archivo mal editado no reemplaza la configuración que funcionaba
+      log.error(`Invalid ${RULES_FILE}, keeping previous rules: ${error}`);
+    } else {
+      if (error) log.error(`Invalid ${RULES_FILE}: ${error}`);
+      config = error ? { ...DEFAULT_CONFIG } : loaded;
+    }
+    loadedMtime = mtime;
+  }
+  return config;
+}
+
+// Reemplazar la configuración completa (PUT /api/rules)
+function saveRulesConfig(next) {
+  const rules = (next.rules || []).map((rule) => ({ id: rule.id || crypto.randomUUID(), enabled: true, ...rule }));
+  config = { ...DEFAULT_CONFIG, ...next, rules };
+  writeJson(RULES_FILE, config);
+  loadedMtime = fileMtime();
+  log.info(`Configuration updated (${rules.length} rule(s))`);
+  return config;
+}
+
+// ============ VALIDACIÓN ============
+
+function validateReply(reply, where) {
+  if (!reply || typeof reply !== 'object') return `${where}.reply must be an object`;
+  if (!reply.text && !reply.media) return `${where}.reply requires text or media`;
+  if (reply.media) {
+    if (!MEDIA_TYPES.includes(reply.media.type)) return `${where}.reply.media.type must be one of: ${MEDIA_TYPES.join(', ')}`;
+    if (!reply.media.url) return `${where}.reply.media.url required`;
+  }
+  return null;
+}
+
+function validateRulesConfig(value) {
+  if (!value || typeof value !== 'object') return 'configuration must be an object';
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value.timezone || 'UTC' });
+  } catch {
+    return `Unknown timezone: ${value.timezone}`;
+  }
+
+  if (value.businessHours) {
+    for (const [day, ranges] of Object.entries(value.businessHours)) {
+      if (!DAYS.includes(day)) return `businessHours: unknown day ${day} (valid: ${DAYS.join(', ')})`;
+      if (!Array.isArray(ranges) || ranges.some((range) => !TIME_RANGE.test(range))) {
+        return `businessHours.${day} must be an array of "HH:MM-HH:MM" ranges`;
+      }
+    }
+  }
+
+  for (const name of ['awayMessage', 'fallbackReply']) {
+    if (value[name]) {
+      const error = validateReply(value[name], name);
+      if (error) return error;
+    }
+  }
+
+  if (!Array.isArray(value.rules || [])) return 'rules must be an array';
+  for (const [index, rule] of (value.rules || []).entries()) {
+    const where = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `${where} must be an object`;
+    if (rule.match !== undefined && (!rule.match || typeof rule.match !== 'object')) return `${where}.match must be an object`;
+    const match = rule.match || {};
+    if (!match.keywords && !match.regex && !match.types && !match.hours) {
+      return `${where}.match requires keywords, regex, types or hours`;
+    }
+    if (match.keywords && (!Array.isArray(match.keywords) || match.keywords.some((keyword) => typeof keyword !== 'string'))) {
+      return `${where}.match.keywords must be an array of strings`;
+    }
+    if (match.regex) {
+      try {
+        new RegExp(match.regex, 'i');
+      } catch (error) {
+        return `${where}.match.regex is invalid: ${error.message}`;
+      }
+    }
+    if (match.types && (!Array.isArray(match.types) || match.types.some((type) => !MESSAGE_TYPES.includes(type)))) {
+      return `${where}.match.types must be an array of: ${MESSAGE_TYPES.join(', ')}`;
+    }
+    if (match.hours && !['open', 'closed'].includes(match.hours)) {
+      return `${where}.match.hours must be "open" or "closed"`;
+    }
+    const error = validateReply(rule.reply, where);
+    if (error) return error;
+  }
+  return null;
+}
+
+// ============ EVALUACIÓN ============
+
+// Quitar acentos y mayúsculas para comparar palabras clave
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ¿Está dentro del horario de atención? Sin horario configurado siempre lo está.
+function isBusinessOpen(rulesConfig, date = new Date()) {
+  const hours = rulesConfig.businessHours;
+  if (!hours) return true;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: rulesConfig.timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+
+  const day = parts.weekday.toLowerCase().slice(0, 3);
+  const now = `${parts.hour}:${parts.minute}`;
+  return (hours[day] || []).some((range) => {
+    const [start, end] = range.split('-');
+    return now >= start && now < end;
+  });
+}
+
+function matchesRule(rule, message, open) {
+  const match = rule.match || {};
+  const text = fold(message.text);
+
+  if (match.types && !match.types.includes(message.type)) return false;
+  if (match.hours === 'open' && !open) return false;
+  if (match.hours === 'closed' && open) return false;
+  if (match.keywords && !match.keywords.some((keyword) => new RegExp(`(^|\\W)${escapeRegex(fold(keyword))}($|\\W)`).test(text))) {
+    return false;
+  }
+  if (match.regex && !new RegExp(match.regex, 'i').test(message.text || '')) return false;
+  return true;
+}
+
+// ¿Pasó el cooldown desde la última respuesta de esta regla a este contacto?
+function cooldownReady(session, key, phone, minutes) {
+  const last = lastReplies.get(`${session.id}:${key}:${phone}`);
+  return !last || Date.now() - last >= minutes * 60 * 1000;
+}
+
+function markReplied(session, key, phone) {
+  lastReplies.set(`${session.id}:${key}:${phone}`, Date.now());
+}
+
+// Contenido de Baileys para una respuesta configurada
+function buildReplyContent(reply, variables) {
+  const text = reply.text ? renderTemplate(reply.text, variables).text : '';
+  if (!reply.media) return { text };
+
+  const { type, url, mimetype, fileName } = reply.media;
+  return {
+    [type]: { url },
+    ...(mimetype && { mimetype }),
+    ...(type === 'document' && { fileName: fileName || 'documento' }),
+    ...(text && type !== 'audio' && type !== 'sticker' && { caption: text }),
+  };
+}
+
+// Evaluar las reglas para un mensaje entrante. Devuelve las respuestas a enviar y si
+// la edge function debe omitirse (una regla con `stop`, que es el valor por defecto).
+// `dryRun` no registra cooldowns (para /api/rules/test).
+function evaluateRules(session, message, { dryRun = false } = {}) {
+  const rulesConfig = getRulesConfig();
+  const open = isBusinessOpen(rulesConfig);
+  const variables = { name: message.pushName || '', phone: message.phone };
+  const replies = [];
+  let stop = false;
+
+  // Los grupos solo reciben respuestas de reglas con includeGroups
+  for (const rule of rulesConfig.rules) {
+    if (rule.enabled === false) continue;
+    if (message.isGroup && !rule.includeGroups) continue;
+    if (rule.sessionIds?.length && !rule.sessionIds.includes(session.id)) continue;
+    if (!matchesRule(rule, message, open)) continue;
+
+    const cooldown = rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    if (!cooldownReady(session, rule.id, message.phone, cooldown)) continue;
+
+    if (!dryRun) markReplied(session, rule.id, message.phone);
+    replies.push({ source: `rule:${rule.id}`, content: buildReplyContent(rule.reply, variables) });
+    stop = rule.stop !== false;
+    break;
+  }
+
+  // Mensaje de ausencia fuera de horario (no omite la edge function)
+  const away = rulesConfig.awayMessage;
+  if (!open && away && away.enabled !== false && !message.isGroup) {
+    const cooldown = away.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    if (cooldownReady(session, 'away', message.phone, cooldown)) {
+      if (!dryRun) markReplied(session, 'away', message.phone);
+      replies.unshift({ source: 'away', content: buildReplyContent(away, variables) });
+    }
+  }
+
+  return { open, replies, stop };
+}
+
+// Respuesta de respaldo cuando la edge function no respondió
+function fallbackReply(session, message) {
+  const fallback = getRulesConfig().fallbackReply;
+  if (!fallback || fallback.enabled === false || message.isGroup) return null;
+
+  const cooldown = fallback.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  if (!cooldownReady(session, 'fallback', message.phone, cooldown)) return null;
+
+  markReplied(session, 'fallback', message.phone);
+  return buildReplyContent(fallback, { name: message.pushName || '', phone: message.phone });
+}
+
+module.exports = {
+  getRulesConfig,
+  saveRulesConfig,
+  validateRulesConfig,
+  isBusinessOpen,
+  evaluateRules,
+  fallbackReply,
+};
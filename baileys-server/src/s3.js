@@ -0,0 +1,28 @@
+// ============ CLIENTE S3 COMPARTIDO ============
+// Carga diferida del SDK: solo hace falta si algún almacén usa S3.
+
+let s3 = null;
+
+function getS3() {
+  if (!s3) {
+    const sdk = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    s3 = {
+      ...sdk,
+      getSignedUrl,
+      client: new sdk.S3Client({
+        region: process.env.S3_REGION || 'auto',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        } : undefined,
+      }),
+    };
+  }
+  return s3;
+}
+
+module.exports = { getS3 };
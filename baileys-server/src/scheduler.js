@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { enqueueMessage } = require('./queue');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scheduler');
+
+// ============ MENSAJES PROGRAMADOS ============
+// Se guardan en disco, así sobreviven reinicios. Lo que venció mientras el servidor
+// estaba apagado se envía al arrancar; en los recurrentes se envía una sola vez y se
+// salta a la próxima fecha futura.
+
+const SCHEDULED_FILE = 'scheduled.json';
+const SCHEDULER_INTERVAL = 5000;
+const RECURRENCES = ['daily', 'weekly', 'monthly'];
+// Ejecuciones que se conservan en el historial de cada programación
+const MAX_RUNS = 20;
+
+let items = null;
+
+function loadScheduled() {
+  if (!items) items = readJson(SCHEDULED_FILE, []);
+  return items;
+}
+
+function saveScheduled() {
+  writeJson(SCHEDULED_FILE, loadScheduled());
+}
+
+function isValidDate(value) {
+  return !Number.isNaN(new Date(value).getTime());
+}
+
+// Validar los campos de alta o edición
+function validateSchedule({ sendAt, recurrence, endAt, timezone }, { partial = false } = {}) {
+  if (!partial || sendAt !== undefined) {
+    if (!sendAt || !isValidDate(sendAt)) return 'sendAt must be a valid date';
+  }
+  if (recurrence !== undefined && recurrence !== null && !RECURRENCES.includes(recurrence)) {
+    return `recurrence must be one of: ${RECURRENCES.join(', ')}`;
+  }
+  if (endAt !== undefined && endAt !== null && !isValidDate(endAt)) {
+    return 'endAt must be a valid date';
+  }
+  if (timezone !== undefined && timezone !== null) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return `Unknown timezone: ${timezone}`;
+    }
+  }
+  return null;
+}
+
+// Hora local de `date` en la zona, expresada como una fecha UTC con los mismos campos
+function wallClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const field = (type) => Number(parts.find((part) => part.type === type).value);
+  return new Date(Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'), date.getUTCMilliseconds()));
+}
+
+// Inverso de wallClock: el instante en que la zona marca esa hora local. El desfase
+// se calcula dos veces por si la hora cae del otro lado de un cambio de horario.
+function fromWallClock(wall, timeZone) {
+  const offset = (date) => wallClock(date, timeZone).getTime() - date.getTime();
+  const guess = new Date(wall.getTime() - offset(wall));
+  return new Date(wall.getTime() - offset(guess));
+}
+
+// Día del mes de `date` en la zona de la programación
+function dayOfMonth(date, timeZone = 'UTC') {
+  return wallClock(new Date(date), timeZone).getUTCDate();
+}
+
+// Siguiente fecha de una recurrencia a partir de `from`. Los mensuales van siempre al
+// día `anchorDay` (el de la fecha original) o al último día de los meses más cortos:
+// 31-ene → 28/29-feb → 31-mar, en vez de quedar corridos al 3.
+// Los días y meses se cuentan en la hora local de `timeZone`, así un envío de las 9:00
+// sigue a las 9:00 después de un cambio de horario.
+function addRecurrence(from, recurrence, anchorDay = dayOfMonth(from), timeZone = 'UTC') {
+  const next = wallClock(new Date(from), timeZone);
+  if (recurrence === 'daily') next.setUTCDate(next.getUTCDate() + 1);
+  if (recurrence === 'weekly') next.setUTCDate(next.getUTCDate() + 7);
+  if (recurrence === 'monthly') {
+    const year = next.getUTCFullYear();
+    const month = next.getUTCMonth() + 1;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    next.setUTCFullYear(year, month, Math.min(anchorDay, lastDay));
+  }
+  return fromWallClock(next, timeZone);
+}
+
+function createScheduled(session, { phone, message, sendAt, recurrence = null, endAt = null, timezone = null }) {
+  const now = new Date().toISOString();
+  const item = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    phone,
+    content: { text: message },
+    sendAt: new Date(sendAt).toISOString(),
+    // Día del mes de las recurrencias mensuales
+    anchorDay: dayOfMonth(sendAt, timezone || 'UTC'),
+    recurrence,
+    // Zona en la que se cuentan las recurrencias (UTC si no se indica)
+    timezone,
+    endAt: endAt ? new Date(endAt).toISOString() : null,
+    status: 'scheduled',
+    runs: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  loadScheduled().push(item);
+  saveScheduled();
+  log.info({ sessionId: session.id }, `Message ${item.id} scheduled for ${item.sendAt}${recurrence ? ` (${recurrence})` : ''}`);
+  return item;
+}
+
+function listScheduled(session, { status } = {}) {
+  return loadScheduled()
+    .filter((item) => item.sessionId === session.id)
+    .filter((item) => !status || item.status === status)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+function getScheduled(session, id) {
+  return loadScheduled().find((item) => item.id === id && item.sessionId === session.id) || null;
+}
+
+// Editar un mensaje aún programado
+function updateScheduled(item, { phone, message, sendAt, recurrence, endAt, timezone }) {
+  if (phone !== undefined) item.phone = phone;
+  if (message !== undefined) item.content = { text: message };
+  if (sendAt !== undefined) item.sendAt = new Date(sendAt).toISOString();
+  if (timezone !== undefined) item.timezone = timezone;
+  if (sendAt !== undefined || timezone !== undefined) {
+    item.anchorDay = dayOfMonth(item.sendAt, item.timezone || 'UTC');
+  }
+  if (recurrence !== undefined) item.recurrence = recurrence;
+  if (endAt !== undefined) item.endAt = endAt ? new Date(endAt).toISOString() : null;
+  item.updatedAt = new Date().toISOString();
+  saveScheduled();
+  return item;
+}
+
+function cancelScheduled(item) {
+  item.status = 'cancelled';
+  item.updatedAt = new Date().toISOString();
+  saveScheduled();
+  return item;
+}
+
+// Encolar lo que ya venció
+function runDueScheduled(getSession) {
+  const now = Date.now();
+  let changed = false;
+
+  for (const item of loadScheduled()) {
+    if (item.status !== 'scheduled' || new Date(item.sendAt).getTime() > now) continue;
+
+    const session = getSession(item.sessionId);
+    if (!session) continue;
+
+    const entry = enqueueMessage(session, item.phone, item.content);
+    item.runs = [...item.runs, { scheduledFor: item.sendAt, enqueuedAt: new Date().toISOString(), messageId: entry.id }].slice(-MAX_RUNS);
+    log.info({ sessionId: item.sessionId }, `Scheduled message ${item.id} enqueued as ${entry.id}`);
+
+    if (item.recurrence) {
+      // Saltar las ocurrencias que se perdieron mientras el servidor estaba apagado
+      const timeZone = item.timezone || 'UTC';
+      let next = addRecurrence(item.sendAt, item.recurrence, item.anchorDay, timeZone);
+      while (next.getTime() <= now) next = addRecurrence(next, item.recurrence, item.anchorDay, timeZone);
+
+      if (item.endAt && next > new Date(item.endAt)) {
+        item.status = 'completed';
+      } else {
+        item.sendAt = next.toISOString();
+      }
+    } else {
+      item.status = 'completed';
+    }
+
+    item.updatedAt = new Date().toISOString();
+    changed = true;
+  }
+
+  if (changed) saveScheduled();
+}
+
+function startScheduler(getSession) {
+  const run = () => {
+    try {
+      runDueScheduled(getSession);
+    } catch (error) {
+      log.error({ err: error }, 'Error running scheduled messages');
+    }
+  };
+
+  // Al arrancar se envía lo que venció mientras el servidor estaba apagado
+  run();
+  setInterval(run, SCHEDULER_INTERVAL);
+
+  const pending = loadScheduled().filter((item) => item.status === 'scheduled').length;
+  log.info(`${pending} scheduled message(s) pending`);
+}
+
+module.exports = {
+  RECURRENCES,
+  validateSchedule,
+  createScheduled,
+  listScheduled,
+  getScheduled,
+  updateScheduled,
+  cancelScheduled,
+  addRecurrence,
+  startScheduler,
+};
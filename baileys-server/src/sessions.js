@@ -0,0 +1,479 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const QRCode = require('qrcode');
+const path = require('path');
+const {
+  SERVER_NAME,
+  AUTH_FOLDER,
+  SESSIONS_FOLDER,
+  DEFAULT_SESSION_ID,
+  MAX_RECONNECT_ATTEMPTS,
+} = require('./config');
+const { readJson, writeJson } = require('./storage');
+const { baileysLogger, createLogger } = require('./logger');
+const { useStoreAuthState, clearSession } = require('./credentials');
+const { CredentialsDecryptionError } = require('./encryption');
+const { handleMessagesUpsert, handlePollUpdates } = require('./processor');
+const { getPollMessage } = require('./polls');
+const { drainQueue } = require('./queue');
+const { handleMessagesUpdate, handleReceiptUpdate } = require('./acks');
+const { EVENTS, emitEvent } = require('./events');
+const { learnFromContacts, learnFromMappings, clearLidMap } = require('./lid-map');
+const { clearMessages } = require('./message-store');
+const { recordReconnect } = require('./metrics');
+const { getTransport } = require('./transport');
+
+const log = createLogger('session');
+
+const REGISTRY_FILE = 'sessions.json';
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// Validez de un código de vinculación antes de pedir otro (segundos)
+const PAIRING_CODE_TTL = (parseInt(process.env.PAIRING_CODE_TTL, 10) || 180) * 1000;
+// Espera antes de reconectar: crece con cada intento hasta RECONNECT_MAX_DELAY
+const RECONNECT_BASE_DELAY = parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || 5000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Sesiones activas en memoria, indexadas por id
+const sessions = new Map();
+
+// ============ REGISTRO DE SESIONES ============
+
+// Nombre de la sesión en el almacén de credenciales; la sesión por defecto conserva SERVER_NAME
+function resolveServerName(id, serverName) {
+  return serverName || (id === DEFAULT_SESSION_ID ? SERVER_NAME : `${SERVER_NAME}:${id}`);
+}
+
+// Estado de una sesión (equivale a las antiguas variables globales)
+function createSessionState({ id, serverName, createdAt }) {
+  const isDefault = id === DEFAULT_SESSION_ID;
+
+  return {
+    id,
+    serverName: resolveServerName(id, serverName),
+    authFolder: isDefault ? AUTH_FOLDER : path.join(SESSIONS_FOLDER, id),
+    createdAt: createdAt || new Date().toISOString(),
+    sock: null,
+    qrCode: null,
+    // Vinculación con código: número que se vincula, código vigente y su vencimiento
+    pairingPhone: null,
+    pairingCode: null,
+    pairingCodeExpiresAt: null,
+    connectionStatus: 'disconnected',
+    connectedPhone: null,
+    isConnecting: false,
+    // Se incrementa en cada conexión y en cada stopSession: invalida las conexiones en curso
+    connectAttempt: 0,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    lastError: null,
+    removed: false,
+  };
+}
+
+function saveRegistry() {
+  writeJson(REGISTRY_FILE, [...sessions.values()].map((session) => ({
+    id: session.id,
+    serverName: session.serverName,
+    createdAt: session.createdAt,
+  })));
+}
+
+// Cargar sesiones guardadas (la sesión por defecto siempre existe)
+function loadSessions() {
+  const saved = readJson(REGISTRY_FILE, []);
+
+  if (!saved.some((entry) => entry.id === DEFAULT_SESSION_ID)) {
+    saved.unshift({ id: DEFAULT_SESSION_ID });
+  }
+
+  for (const entry of saved) {
+    if (!sessions.has(entry.id)) {
+      sessions.set(entry.id, createSessionState(entry));
+    }
+  }
+
+  return [...sessions.values()];
+}
+
+function getSession(id) {
+  return sessions.get(id) || null;
+}
+
+function listSessions() {
+  return [...sessions.values()];
+}
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+// Las credenciales se guardan por serverName: dos sesiones con el mismo nombre
+// compartirían (y al borrarse, eliminarían) las mismas credenciales
+function isServerNameTaken(id, serverName) {
+  const name = resolveServerName(id, serverName);
+  return [...sessions.values()].some((session) => session.serverName === name);
+}
+
+// Crear una nueva sesión y empezar a conectarla
+function createSession({ id, serverName }) {
+  if (!isValidSessionId(id)) {
+    throw new Error('Invalid session id (use letters, numbers, "-" or "_")');
+  }
+  if (sessions.has(id)) {
+    throw new Error(`Session ${id} already exists`);
+  }
+  if (serverName !== undefined && (typeof serverName !== 'string' || !serverName.trim())) {
+    throw new Error('serverName must be a non-empty string');
+  }
+  if (isServerNameTaken(id, serverName)) {
+    throw new Error(`Server name ${resolveServerName(id, serverName)} is already used by another session`);
+  }
+
+  const session = createSessionState({ id, serverName });
+  sessions.set(id, session);
+  saveRegistry();
+
+  log.info({ sessionId: id }, `Session created (server name: ${session.serverName})`);
+  connectWhatsApp(session);
+  return session;
+}
+
+// Eliminar una sesión: cierra el socket y borra sus credenciales
+async function deleteSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+
+  session.removed = true;
+  stopSession(session);
+  await clearSession(session);
+  clearLidMap(session);
+  clearMessages(session);
+
+  sessions.delete(id);
+  saveRegistry();
+
+  log.info({ sessionId: id }, 'Session deleted');
+  return true;
+}
+
+// Resumen serializable de una sesión
+function getSessionInfo(session) {
+  return {
+    id: session.id,
+    status: session.connectionStatus,
+    phone: session.connectedPhone,
+    hasQR: !!session.qrCode,
+    hasPairingCode: isPairingCodeValid(session),
+    reconnectAttempts: session.reconnectAttempts,
+    lastError: session.lastError,
+    serverName: session.serverName,
+    createdAt: session.createdAt,
+  };
+}
+
+// ============ CONEXIÓN WHATSAPP ============
+
+// Cerrar el socket de una sesión y cancelar reconexiones pendientes
+function stopSession(session) {
+  if (session.reconnectTimer) {
+    clearTimeout(session.reconnectTimer);
+    session.reconnectTimer = null;
+  }
+
+  if (session.sock) {
+    const sock = session.sock;
+    session.sock = null;
+    sock.end();
+  }
+
+  session.connectionStatus = 'disconnected';
+  session.qrCode = null;
+  clearPairing(session);
+  session.connectedPhone = null;
+  session.isConnecting = false;
+  session.connectAttempt++;
+}
+
+// ============ VINCULACIÓN CON CÓDIGO ============
+// Alternativa al QR: WhatsApp muestra "Vincular con número de teléfono" y se escribe
+// el código de 8 caracteres. Como el QR, el código vence y se regenera mientras
+// el socket siga esperando la vinculación.
+
+function clearPairing(session) {
+  session.pairingPhone = null;
+  session.pairingCode = null;
+  session.pairingCodeExpiresAt = null;
+}
+
+function isPairingCodeValid(session) {
+  return !!session.pairingCode && new Date(session.pairingCodeExpiresAt).getTime() > Date.now();
+}
+
+// Pedir un código nuevo para el número pendiente de vincular
+async function refreshPairingCode(session, sock) {
+  const code = await sock.requestPairingCode(session.pairingPhone);
+  // El socket pudo cambiar mientras se esperaba el código
+  if (session.sock !== sock || !session.pairingPhone) return;
+
+  session.pairingCode = code;
+  session.pairingCodeExpiresAt = new Date(Date.now() + PAIRING_CODE_TTL).toISOString();
+  log.info({ sessionId: session.id, phone: session.pairingPhone }, 'Pairing code generated');
+  emitEvent(EVENTS.PAIRING_CODE, session, {
+    phone: session.pairingPhone,
+    code,
+    expiresAt: session.pairingCodeExpiresAt,
+  });
+}
+
+// Iniciar la vinculación con código para `phone` (E.164 sin "+").
+// Si el socket todavía no está listo, el código se genera con el primer QR.
+async function requestPairingCode(session, phone) {
+  const changed = session.pairingPhone !== phone;
+  session.pairingPhone = phone;
+
+  if (changed || !isPairingCodeValid(session)) {
+    session.pairingCode = null;
+    session.pairingCodeExpiresAt = null;
+
+    // Socket esperando vinculación (ya emitió QR): pedir el código ahora
+    if (session.sock && session.qrCode) {
+      await refreshPairingCode(session, session.sock);
+    } else if (!session.sock && !session.isConnecting && !session.reconnectTimer) {
+      connectWhatsApp(session);
+    }
+  }
+
+  return getPairingInfo(session);
+}
+
+// Estado de la vinculación con código (como /qr)
+function getPairingInfo(session) {
+  if (session.connectionStatus === 'connected') {
+    return { status: 'already_connected', phone: session.connectedPhone };
+  }
+  if (!session.pairingPhone) {
+    return { status: 'not_requested' };
+  }
+  if (!isPairingCodeValid(session)) {
+    return { status: 'waiting', phone: session.pairingPhone, message: 'Pairing code not ready yet, try again in a few seconds' };
+  }
+  return {
+    status: 'code_ready',
+    phone: session.pairingPhone,
+    code: session.pairingCode,
+    expiresAt: session.pairingCodeExpiresAt,
+  };
+}
+
+function reconnectDelay(attempts) {
+  return Math.min(RECONNECT_BASE_DELAY * attempts, RECONNECT_MAX_DELAY);
+}
+
+// `details` (statusCode, reason o error) se publica junto con el intento
+function scheduleReconnect(session, delay, details = {}) {
+  if (session.removed) return;
+
+  emitEvent(EVENTS.RECONNECT_SCHEDULED, session, { attempt: session.reconnectAttempts, delayMs: delay, ...details });
+  recordReconnect(session, details.reason ?? (details.error ? 'error' : 'unknown'));
+
+  if (session.reconnectTimer) {
+    clearTimeout(session.reconnectTimer);
+  }
+
+  session.reconnectTimer = setTimeout(() => {
+    session.reconnectTimer = null;
+    connectWhatsApp(session);
+  }, delay);
+}
+
+async function connectWhatsApp(session) {
+  if (session.removed) return;
+
+  if (session.isConnecting) {
+    log.debug({ sessionId: session.id }, 'Already connecting, skipping...');
+    return;
+  }
+
+  session.isConnecting = true;
+  const attempt = ++session.connectAttempt;
+  // Durante cada espera la sesión pudo borrarse, detenerse o empezar otra conexión;
+  // en ese caso esta conexión no crea socket (quedaría huérfano o duplicado)
+  const superseded = () => session.removed || session.connectAttempt !== attempt;
+
+  if (session.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+    log.warn({ sessionId: session.id }, 'Max reconnect attempts reached. Clearing session and restarting...');
+    await clearSession(session);
+    if (superseded()) return;
+    session.reconnectAttempts = 0;
+  }
+
+  session.lastError = null;
+  log.info({ sessionId: session.id }, `Starting connection... (attempt ${session.reconnectAttempts + 1})`);
+
+  try {
+    const { makeSocket, fetchVersion } = getTransport();
+    const { version, isLatest } = await fetchVersion();
+    if (superseded()) return;
+    log.info({ sessionId: session.id }, `Using WA version ${version.join('.')}, isLatest: ${isLatest}`);
+
+    // Auth state desde el almacén de credenciales configurado
+    const { state, saveCreds } = await useStoreAuthState(session);
+    if (superseded()) return;
+    log.info({ sessionId: session.id }, 'Auth state loaded');
+
+    const sock = makeSocket({
+      auth: state,
+      logger: baileysLogger,
+      version,
+      browser: ['Apunta Bot', 'Chrome', '120.0.0'],
+      connectTimeoutMs: 60000,
+      defaultQueryTimeoutMs: 60000,
+      keepAliveIntervalMs: 30000,
+      emitOwnEvents: false,
+      fireInitQueries: false,
+      generateHighQualityLinkPreview: false,
+      syncFullHistory: false,
+      markOnlineOnConnect: false,
+      // Baileys pide el mensaje original para descifrar los votos de encuestas
+      getMessage: async (key) => getPollMessage(session, key.id),
+    });
+    session.sock = sock;
+
+    // Manejar actualizaciones de conexión
+    sock.ev.on('connection.update', async (update) => {
+      // Ignorar eventos de sockets que ya fueron reemplazados o cerrados a mano
+      if (session.sock !== sock) return;
+
+      const { qr, connection, lastDisconnect } = update;
+
+      if (qr) {
+        try {
+          session.qrCode = await QRCode.toDataURL(qr);
+          session.connectionStatus = 'waiting_qr';
+          session.reconnectAttempts = 0;
+          log.info({ sessionId: session.id }, 'QR code generated');
+          emitEvent(EVENTS.QR_GENERATED, session, { qr: session.qrCode });
+        } catch (err) {
+          log.error({ sessionId: session.id, err }, 'Error generating QR image');
+        }
+
+        // Con vinculación por código pendiente, regenerar el código si no hay uno vigente
+        if (session.pairingPhone && !isPairingCodeValid(session)) {
+          refreshPairingCode(session, sock).catch((err) => {
+            log.error({ sessionId: session.id, err }, 'Error requesting pairing code');
+            session.lastError = err.message;
+          });
+        }
+      }
+
+      if (connection === 'open') {
+        session.connectionStatus = 'connected';
+        session.qrCode = null;
+        clearPairing(session);
+        session.isConnecting = false;
+        session.reconnectAttempts = 0;
+        session.connectedPhone = sock.user?.id?.split(':')[0] || null;
+        log.info({ sessionId: session.id, phone: session.connectedPhone }, 'Connected successfully');
+        emitEvent(EVENTS.CONNECTION_UPDATE, session, { status: 'connected', phone: session.connectedPhone });
+
+        // Entregar los mensajes que quedaron en cola mientras no había conexión
+        drainQueue(session).catch((err) => log.error({ sessionId: session.id, err }, 'Error draining queue'));
+        
+        // Guardar credenciales después de conectar
+        log.info({ sessionId: session.id }, 'Saving credentials after connection...');
+        setTimeout(() => {
+          saveCreds().catch((err) => log.error({ sessionId: session.id, err }, 'Error saving credentials'));
+        }, 2000);
+      }
+
+      if (connection === 'close') {
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        const reason = Object.keys(DisconnectReason).find(k => DisconnectReason[k] === statusCode) || statusCode;
+        
+        log.warn({ sessionId: session.id }, `Connection closed. Status: ${statusCode} (${reason})`);
+        
+        session.sock = null;
+        session.connectionStatus = 'disconnected';
+        session.qrCode = null;
+        // El código pertenece al socket cerrado; el número se conserva para pedir otro
+        session.pairingCode = null;
+        session.pairingCodeExpiresAt = null;
+        session.connectedPhone = null;
+        session.isConnecting = false;
+        emitEvent(EVENTS.CONNECTION_UPDATE, session, { status: 'disconnected', statusCode, reason });
+
+        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+        
+        if (statusCode === 405 || statusCode === 401) {
+          log.warn({ sessionId: session.id }, 'Auth error (405/401). Clearing session...');
+          await clearSession(session);
+          session.reconnectAttempts = 0;
+        }
+
+        if (shouldReconnect) {
+          session.reconnectAttempts++;
+          const delay = reconnectDelay(session.reconnectAttempts);
+          log.info({ sessionId: session.id }, `Will reconnect in ${delay/1000}s...`);
+          scheduleReconnect(session, delay, { statusCode, reason });
+        } else {
+          log.warn({ sessionId: session.id }, 'Logged out. Manual reconnect required.');
+        }
+      }
+    });
+
+    // Guardar credenciales en el almacén
+    sock.ev.on('creds.update', saveCreds);
+
+    // Manejar mensajes entrantes
+    sock.ev.on('messages.upsert', (upsert) => handleMessagesUpsert(session, upsert));
+
+    // Relación LID <-> teléfono desde contactos e historial
+    sock.ev.on('contacts.upsert', (contacts) => learnFromContacts(session, contacts));
+    sock.ev.on('contacts.update', (contacts) => learnFromContacts(session, contacts));
+    sock.ev.on('messaging-history.set', ({ contacts }) => learnFromContacts(session, contacts));
+    sock.ev.on('lid-mapping.update', (mappings) => learnFromMappings(session, mappings));
+
+    // Acuses de recibo de los mensajes enviados y votos de encuestas
+    sock.ev.on('messages.update', (updates) => {
+      handleMessagesUpdate(session, updates);
+      handlePollUpdates(session, updates);
+    });
+    sock.ev.on('message-receipt.update', (receipts) => handleReceiptUpdate(session, receipts));
+
+  } catch (error) {
+    if (superseded()) return;
+
+    // Llave de cifrado incorrecta: no reintentar ni limpiar, las credenciales siguen siendo válidas
+    if (error instanceof CredentialsDecryptionError) {
+      log.error({ sessionId: session.id }, `${error.message}. Fix CREDENTIALS_ENCRYPTION_KEY and restart the server.`);
+      session.isConnecting = false;
+      session.connectionStatus = 'credentials_error';
+      session.lastError = error.message;
+      return;
+    }
+
+    log.error({ sessionId: session.id, err: error }, 'Error in connectWhatsApp');
+    session.isConnecting = false;
+    session.connectionStatus = 'disconnected';
+    session.reconnectAttempts++;
+    
+    const delay = reconnectDelay(session.reconnectAttempts);
+    log.info({ sessionId: session.id }, `Will retry in ${delay/1000}s...`);
+    scheduleReconnect(session, delay, { error: error.message });
+  }
+}
+
+module.exports = {
+  loadSessions,
+  getSession,
+  listSessions,
+  createSession,
+  deleteSession,
+  getSessionInfo,
+  isValidSessionId,
+  isServerNameTaken,
+  connectWhatsApp,
+  stopSession,
+  scheduleReconnect,
+  requestPairingCode,
+  getPairingInfo,
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// ============ FIRMA HMAC DE PETICIONES SALIENTES ============
+// El receptor recalcula HMAC-SHA256(secret, `${timestamp}.${body}`) y compara
+// con X-Webhook-Signature; el timestamp le permite rechazar peticiones viejas.
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Headers de firma para un body ya serializado
+function signatureHeaders(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`,
+  };
+}
+
+module.exports = { signPayload, signatureHeaders };
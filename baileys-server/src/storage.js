@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_FOLDER } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+// ============ ALMACENAMIENTO JSON EN DISCO ============
+
+function dataPath(name) {
+  return path.join(DATA_FOLDER, name);
+}
+
+// Leer un archivo JSON de la carpeta de datos (o devolver el valor por defecto)
+function readJson(name, fallback) {
+  const filePath = dataPath(name);
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    log.error({ err }, `Error reading ${filePath}`);
+    return fallback;
+  }
+}
+
+// Escribir de forma atómica (archivo temporal + rename) para no dejar JSON a medias
+function writeJson(name, data) {
+  const filePath = dataPath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { dataPath, readJson, writeJson };
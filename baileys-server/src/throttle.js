@@ -0,0 +1,121 @@
+const { toJid } = require('./whatsapp');
+const { createLogger } = require('./logger');
+
+const log = createLogger('throttle');
+
+// ============ RITMO DE ENVÍO (ANTI-BAN) ============
+// Limita los envíos por minuto de cada número, separa los mensajes a un mismo
+// destinatario, agrega pausas aleatorias y muestra "escribiendo…" antes de enviar.
+
+const MAX_PER_MINUTE = parseInt(process.env.THROTTLE_MAX_PER_MINUTE, 10) || 20;
+const RECIPIENT_INTERVAL = parseInt(process.env.THROTTLE_RECIPIENT_INTERVAL_MS, 10) || 3000;
+const MIN_DELAY = parseInt(process.env.THROTTLE_MIN_DELAY_MS, 10) || 1000;
+const JITTER = parseInt(process.env.THROTTLE_JITTER_MS, 10) || 2000;
+const TYPING_ENABLED = process.env.THROTTLE_TYPING !== 'false';
+const TYPING_MS_PER_CHAR = 40;
+const TYPING_MIN = 1000;
+const TYPING_MAX = 5000;
+
+// Por sesión: envíos del último minuto, último envío y último envío por destinatario
+const states = new Map();
+
+function getState(session) {
+  if (!states.has(session.id)) {
+    states.set(session.id, { sentAt: [], lastSentAt: 0, recipients: new Map() });
+  }
+  return states.get(session.id);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Quitar del registro lo que ya no cuenta para los límites
+function prune(state, now) {
+  state.sentAt = state.sentAt.filter((at) => now - at < 60 * 1000);
+  for (const [jid, at] of state.recipients) {
+    if (now - at >= RECIPIENT_INTERVAL) state.recipients.delete(jid);
+  }
+}
+
+// ¿Hay cupo en el minuto actual?
+function hasGlobalCapacity(session) {
+  const state = getState(session);
+  prune(state, Date.now());
+  return state.sentAt.length < MAX_PER_MINUTE;
+}
+
+// ¿Pasó el intervalo mínimo desde el último envío a este destinatario?
+function isRecipientReady(session, phone) {
+  const last = getState(session).recipients.get(toJid(phone));
+  return !last || Date.now() - last >= RECIPIENT_INTERVAL;
+}
+
+// Presencia según el tipo de contenido
+function presenceFor(content) {
+  return content.audio ? 'recording' : 'composing';
+}
+
+function typingDuration(content) {
+  const length = (content.text || content.caption || '').length;
+  return Math.min(Math.max(length * TYPING_MS_PER_CHAR, TYPING_MIN), TYPING_MAX);
+}
+
+// Esperar la pausa aleatoria entre envíos y simular que se está escribiendo
+async function waitBeforeSend(session, phone, content) {
+  const state = getState(session);
+  const gap = MIN_DELAY + Math.random() * JITTER;
+  const wait = state.lastSentAt + gap - Date.now();
+  if (wait > 0) await sleep(wait);
+
+  // Reacciones, ediciones y borrados no muestran "escribiendo…"
+  if (!TYPING_ENABLED || !session.sock || content.react || content.edit || content.delete) return;
+
+  const jid = toJid(phone);
+  try {
+    await session.sock.sendPresenceUpdate(presenceFor(content), jid);
+    await sleep(typingDuration(content));
+    await session.sock.sendPresenceUpdate('paused', jid);
+  } catch (error) {
+    // La presencia es cosmética: si falla se envía igual
+    log.error({ sessionId: session.id, err: error }, 'Error sending presence');
+  }
+}
+
+function recordSend(session, phone) {
+  const state = getState(session);
+  const now = Date.now();
+  state.sentAt.push(now);
+  state.lastSentAt = now;
+  state.recipients.set(toJid(phone), now);
+}
+
+// Estado visible por la API
+function getThrottleState(session) {
+  const state = getState(session);
+  const now = Date.now();
+  prune(state, now);
+
+  const windowFull = state.sentAt.length >= MAX_PER_MINUTE;
+  return {
+    maxPerMinute: MAX_PER_MINUTE,
+    sentLastMinute: state.sentAt.length,
+    recipientIntervalMs: RECIPIENT_INTERVAL,
+    minDelayMs: MIN_DELAY,
+    jitterMs: JITTER,
+    typing: TYPING_ENABLED,
+    throttled: windowFull,
+    // Cuándo se libera un lugar en la ventana de un minuto
+    nextSlotAt: windowFull ? new Date(state.sentAt[0] + 60 * 1000).toISOString() : null,
+    lastSentAt: state.lastSentAt ? new Date(state.lastSentAt).toISOString() : null,
+    recipientsWaiting: state.recipients.size,
+  };
+}
+
+module.exports = {
+  hasGlobalCapacity,
+  isRecipientReady,
+  waitBeforeSend,
+  recordSend,
+  getThrottleState,
+};
@@ -0,0 +1,30 @@
+const {
+  default: makeWASocket,
+  fetchLatestBaileysVersion,
+  downloadMediaMessage,
+} = require('@whiskeysockets/baileys');
+
+// ============ TRANSPORTE DE WHATSAPP ============
+// Todo lo que habla con los servidores de WhatsApp: crear el socket, consultar la
+// versión del cliente y descargar media. Las pruebas lo reemplazan con setTransport
+// por un socket falso para correr sin teléfono ni red.
+
+const DEFAULT_TRANSPORT = {
+  makeSocket: makeWASocket,
+  fetchVersion: fetchLatestBaileysVersion,
+  downloadMedia: downloadMediaMessage,
+};
+
+let transport = DEFAULT_TRANSPORT;
+
+function getTransport() {
+  return transport;
+}
+
+// Reemplazar parte del transporte; lo que no se indica sigue siendo Baileys.
+// Sin argumentos vuelve al transporte real.
+function setTransport(overrides = {}) {
+  transport = { ...DEFAULT_TRANSPORT, ...overrides };
+}
+
+module.exports = { getTransport, setTransport };
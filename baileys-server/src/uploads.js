@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { dataPath } = require('./storage');
+
+// ============ MEDIA SALIENTE ============
+// Cada archivo (URL, base64 o multipart) se valida y se guarda en disco antes de
+// encolarlo; Baileys lo lee de la ruta local al enviarlo.
+
+const UPLOADS_FOLDER = dataPath('uploads');
+const DOWNLOAD_TIMEOUT = 30000;
+const MAX_REDIRECTS = 5;
+// Hosts que se pueden descargar aunque resuelvan a una dirección interna (separados por coma)
+const ALLOWED_HOSTS = (process.env.MEDIA_URL_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Direcciones a las que el servidor no descarga: loopback, redes privadas, link-local
+// (donde están los metadatos de la nube, 169.254.169.254), CGNAT, multicast y reservadas
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const MB = 1024 * 1024;
+
+// Tipos permitidos y tamaño máximo por tipo (límites de WhatsApp)
+const MEDIA_RULES = {
+  image: { mimetypes: ['image/jpeg', 'image/png', 'image/webp'], maxSize: 5 * MB },
+  video: { mimetypes: ['video/mp4', 'video/3gpp', 'video/quicktime'], maxSize: 16 * MB },
+  audio: { mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/wav', 'audio/webm'], maxSize: 16 * MB },
+  sticker: { mimetypes: ['image/webp'], maxSize: 500 * 1024 },
+  // Los documentos aceptan cualquier tipo
+  document: { mimetypes: null, maxSize: 100 * MB },
+};
+
+const MEDIA_TYPES = Object.keys(MEDIA_RULES);
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(MEDIA_RULES).map((rule) => rule.maxSize));
+
+// Error de validación: se responde con 400 en lugar de 500
+class MediaValidationError extends Error {}
+
+// Quitar parámetros del MIME ("audio/ogg; codecs=opus" -> "audio/ogg")
+function baseMimetype(mimetype) {
+  return (mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+function validateMedia(type, mimetype, size) {
+  const rule = MEDIA_RULES[type];
+  if (!rule) {
+    throw new MediaValidationError(`type must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+  if (!mimetype) {
+    throw new MediaValidationError('mimetype could not be determined, send it explicitly');
+  }
+  if (rule.mimetypes && !rule.mimetypes.includes(baseMimetype(mimetype))) {
+    throw new MediaValidationError(`Invalid mimetype ${mimetype} for ${type} (allowed: ${rule.mimetypes.join(', ')})`);
+  }
+  if (size > rule.maxSize) {
+    throw new MediaValidationError(`File too large for ${type}: ${size} bytes (max ${rule.maxSize})`);
+  }
+}
+
+function newUploadPath() {
+  fs.mkdirSync(UPLOADS_FOLDER, { recursive: true });
+  return path.join(UPLOADS_FOLDER, crypto.randomUUID());
+}
+
+function isBlockedAddress(address) {
+  // IPv6 con una IPv4 adentro (::ffff:127.0.0.1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Rechazar URLs que no son http(s) o que apuntan a la red interna del servidor
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new MediaValidationError(`Invalid url: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new MediaValidationError(`url must be http(s): ${url}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (ALLOWED_HOSTS.includes(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new MediaValidationError(`Could not resolve ${host}`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new MediaValidationError(`url points to a private or local address: ${url}`);
+  }
+}
+
+// fetch que revisa el destino de cada redirección. Los errores de red (DNS, conexión
+// rechazada, timeout) son del cliente que mandó la URL: MediaValidationError.
+async function fetchPublicUrl(url) {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT);
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(current);
+
+    let response;
+    try {
+      response = await fetch(current, { redirect: 'manual', signal });
+    } catch (error) {
+      throw new MediaValidationError(`Could not download ${url}: ${error.cause?.code || error.message}`);
+    }
+
+    const location = response.headers.get('location');
+    if (![301, 302, 303, 307, 308].includes(response.status) || !location) return response;
+    if (redirects >= MAX_REDIRECTS) {
+      throw new MediaValidationError(`Could not download ${url}: too many redirects`);
+    }
+    current = new URL(location, current).href;
+  }
+}
+
+// Descargar una URL respetando el tamaño máximo del tipo
+async function fetchMedia(type, url, declaredMimetype) {
+  const response = await fetchPublicUrl(url);
+  if (!response.ok) {
+    throw new MediaValidationError(`Could not download ${url}: HTTP ${response.status}`);
+  }
+
+  const mimetype = declaredMimetype || response.headers.get('content-type');
+  const declaredSize = parseInt(response.headers.get('content-length'), 10);
+  // Validar antes de descargar cuando el servidor informa el tamaño
+  validateMedia(type, mimetype, Number.isNaN(declaredSize) ? 0 : declaredSize);
+
+  // Sin content-length (o con uno falso) se corta la descarga apenas supera el máximo,
+  // sin cargar el resto en memoria
+  const { maxSize } = MEDIA_RULES[type];
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > maxSize) {
+        throw new MediaValidationError(`File too large for ${type}: more than ${maxSize} bytes`);
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error instanceof MediaValidationError) throw error;
+    throw new MediaValidationError(`Could not download ${url}: ${error.message}`);
+  }
+
+  return { buffer: Buffer.concat(chunks), mimetype };
+}
+
+// Decodificar base64 crudo o un data URI ("data:image/png;base64,...")
+function decodeBase64(base64, declaredMimetype) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(base64);
+  if (match) {
+    return { buffer: Buffer.from(match[2], 'base64'), mimetype: declaredMimetype || match[1] };
+  }
+  return { buffer: Buffer.from(base64, 'base64'), mimetype: declaredMimetype };
+}
+
+// Resolver el origen del archivo y dejarlo validado en disco.
+// Devuelve { path, mimetype, size }.
+async function prepareMedia(type, { url, base64, file, mimetype }) {
+  if (file) {
+    // Multipart: multer ya lo escribió en la carpeta de uploads
+    const fileMimetype = mimetype || file.mimetype;
+    try {
+      validateMedia(type, fileMimetype, file.size);
+    } catch (error) {
+      fs.rmSync(file.path, { force: true });
+      throw error;
+    }
+    return { path: file.path, mimetype: fileMimetype, size: file.size };
+  }
+
+  let media;
+  if (base64) {
+    media = decodeBase64(base64, mimetype);
+  } else if (url) {
+    media = await fetchMedia(type, url, mimetype);
+  } else {
+    throw new MediaValidationError('url, base64 or file required');
+  }
+
+  validateMedia(type, media.mimetype, media.buffer.length);
+
+  const filePath = newUploadPath();
+  fs.writeFileSync(filePath, media.buffer);
+  return { path: filePath, mimetype: media.mimetype, size: media.buffer.length };
+}
+
+// Contenido de Baileys para un archivo ya preparado
+function buildMediaContent(type, media, { caption, fileName, ptt }) {
+  const source = { url: media.path };
+
+  switch (type) {
+    case 'image':
+      return { image: source, mimetype: media.mimetype, caption: caption || '' };
+    case 'video':
+      return { video: source, mimetype: media.mimetype, caption: caption || '' };
+    case 'audio':
+      // ptt = nota de voz (por defecto); WhatsApp espera audio/ogg; codecs=opus
+      return { audio: source, mimetype: media.mimetype, ptt: ptt !== false };
+    case 'sticker':
+      return { sticker: source, mimetype: media.mimetype };
+    case 'document':
+      return { document: source, mimetype: media.mimetype, fileName: fileName || 'documento', caption: caption || '' };
+    default:
+      throw new MediaValidationError(`type must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+}
+
+// Contenido de una ubicación
+function buildLocationContent({ latitude, longitude, name, address }) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new MediaValidationError('latitude and longitude must be valid coordinates');
+  }
+
+  return { location: { degreesLatitude: lat, degreesLongitude: lng, name, address } };
+}
+
+// Escapar texto para una línea de vCard
+function vcardValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Contenido de uno o más contactos ({ name, phone, organization?, email? })
+function buildContactsContent(contacts) {
+  if (!Array.isArray(contacts) || contacts.length === 0) {
+    throw new MediaValidationError('contacts must be a non-empty array');
+  }
+
+  const cards = contacts.map((contact) => {
+    if (!contact?.name || !contact?.phone) {
+      throw new MediaValidationError('each contact requires name and phone');
+    }
+
+    const digits = String(contact.phone).replace(/\D/g, '');
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${vcardValue(contact.name)}`,
+      contact.organization && `ORG:${vcardValue(contact.organization)}`,
+      contact.email && `EMAIL:${vcardValue(contact.email)}`,
+      `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+      'END:VCARD',
+    ];
+    return { displayName: contact.name, vcard: lines.filter(Boolean).join('\n') };
+  });
+
+  return {
+    contacts: {
+      displayName: cards.length === 1 ? cards[0].displayName : `${cards.length} contactos`,
+      contacts: cards,
+    },
+  };
+}
+
+// Borrar archivos que ya no hacen falta (tras enviar o fallar)
+function removeUploads(files = []) {
+  for (const file of files) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+module.exports = {
+  UPLOADS_FOLDER,
+  MAX_UPLOAD_SIZE,
+  MEDIA_TYPES,
+  MediaValidationError,
+  prepareMedia,
+  buildMediaContent,
+  buildLocationContent,
+  buildContactsContent,
+  removeUploads,
+};
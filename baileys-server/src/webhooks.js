@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+const { EVENTS, onEvent } = require('./events');
+const { signatureHeaders } = require('./signing');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhook');
+
+// ============ WEBHOOKS SALIENTES ============
+
+const WEBHOOKS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 10000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+const DELIVERY_TIMEOUT = 10000;
+const WEBHOOK_WORKER_INTERVAL = 5000;
+// Se conservan solo las últimas entregas en el log
+const MAX_DELIVERY_LOG = 500;
+
+const VALID_EVENTS = [...Object.values(EVENTS), '*'];
+
+let webhooks = null;
+let deliveries = null;
+// Entregas que se están enviando en este momento
+const inFlight = new Set();
+
+function loadWebhooks() {
+  if (!webhooks) webhooks = readJson(WEBHOOKS_FILE, []);
+  return webhooks;
+}
+
+function saveWebhooks() {
+  writeJson(WEBHOOKS_FILE, loadWebhooks());
+}
+
+function loadDeliveries() {
+  if (!deliveries) deliveries = readJson(DELIVERIES_FILE, []);
+  return deliveries;
+}
+
+function saveDeliveries() {
+  // Recortar el log sin descartar entregas pendientes
+  const overflow = loadDeliveries().length - MAX_DELIVERY_LOG;
+  if (overflow > 0) {
+    let removed = 0;
+    deliveries = deliveries.filter((delivery) => {
+      if (removed >= overflow || delivery.status === 'pending') return true;
+      removed++;
+      return false;
+    });
+  }
+  writeJson(DELIVERIES_FILE, deliveries);
+}
+
+// ============ REGISTRO ============
+
+// Validar y normalizar los datos de un webhook (alta o edición)
+function validateWebhook({ url, events, secret, sessionIds, enabled, description }) {
+  if (url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    } catch {
+      return 'url must be a valid http(s) URL';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const invalid = events.filter((event) => !VALID_EVENTS.includes(event));
+    if (invalid.length) {
+      return `Unknown events: ${invalid.join(', ')} (valid: ${VALID_EVENTS.join(', ')})`;
+    }
+  }
+
+  // null = todas las sesiones
+  if (sessionIds !== undefined && sessionIds !== null) {
+    if (!Array.isArray(sessionIds) || !sessionIds.every((id) => typeof id === 'string')) {
+      return 'sessionIds must be null or an array of session ids';
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || !secret)) {
+    return 'secret must be a non-empty string';
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+
+  return null;
+}
+
+function createWebhook({ url, events = ['*'], secret, sessionIds = null, description = '' }) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    // Secreto de firma propio de cada webhook
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    sessionIds,
+    description,
+    enabled: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  loadWebhooks().push(webhook);
+  saveWebhooks();
+  log.info(`Registered ${webhook.id} -> ${url} (${events.join(', ')})`);
+  return webhook;
+}
+
+function listWebhooks() {
+  return loadWebhooks();
+}
+
+function getWebhook(id) {
+  return loadWebhooks().find((webhook) => webhook.id === id) || null;
+}
+
+function updateWebhook(id, changes) {
+  const webhook = getWebhook(id);
+  if (!webhook) return null;
+
+  for (const field of ['url', 'events', 'secret', 'sessionIds', 'description', 'enabled']) {
+    if (changes[field] !== undefined) webhook[field] = changes[field];
+  }
+  saveWebhooks();
+  return webhook;
+}
+
+function deleteWebhook(id) {
+  const before = loadWebhooks().length;
+  webhooks = webhooks.filter((webhook) => webhook.id !== id);
+  if (webhooks.length === before) return false;
+
+  saveWebhooks();
+  return true;
+}
+
+// Vista pública (el secreto solo se muestra al crearlo)
+function getWebhookInfo(webhook, { includeSecret = false } = {}) {
+  const { secret, ...info } = webhook;
+  return includeSecret ? { ...info, secret } : info;
+}
+
+// ============ ENTREGAS ============
+
+function matches(webhook, { event, sessionId }) {
+  if (!webhook.enabled) return false;
+  if (webhook.sessionIds && !webhook.sessionIds.includes(sessionId)) return false;
+  return webhook.events.includes('*') || webhook.events.includes(event);
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = getWebhook(delivery.webhookId);
+  if (!webhook) {
+    Object.assign(delivery, { status: 'failed', lastError: 'Webhook deleted', updatedAt: new Date().toISOString() });
+    saveDeliveries();
+    return;
+  }
+
+  if (inFlight.has(delivery.id)) return;
+  inFlight.add(delivery.id);
+  delivery.attempts++;
+
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        ...signatureHeaders(webhook.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+    });
+
+    delivery.responseStatus = response.status;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    delivery.status = 'success';
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+      delivery.status = 'failed';
+      log.error({ err: error }, `Delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts} attempts`);
+    } else {
+      const delay = retryDelay(delivery.attempts);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      log.warn({ err: error }, `Delivery ${delivery.id} to ${webhook.url} failed (attempt ${delivery.attempts}), retrying in ${delay/1000}s`);
+    }
+  } finally {
+    inFlight.delete(delivery.id);
+    delivery.updatedAt = new Date().toISOString();
+    saveDeliveries();
+  }
+}
+
+// Crear una entrega por cada webhook suscrito al evento. Corre dentro de emitEvent:
+// un webhook mal guardado no debe romper al que emitió el evento.
+function dispatchEvent(payload) {
+  const targets = loadWebhooks().filter((webhook) => {
+    try {
+      return matches(webhook, payload);
+    } catch (error) {
+      log.error({ err: error }, `Error matching webhook ${webhook.id}`);
+      return false;
+    }
+  });
+  if (!targets.length) return;
+
+  const now = new Date().toISOString();
+  const created = targets.map((webhook) => ({
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event: payload.event,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    lastError: null,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+  }));
+
+  loadDeliveries().push(...created);
+  saveDeliveries();
+
+  for (const delivery of created) {
+    attemptDelivery(delivery).catch((err) => log.error({ err }, 'Error delivering'));
+  }
+}
+
+function listDeliveries({ webhookId, status, limit = 50 } = {}) {
+  return loadDeliveries()
+    .filter((delivery) => !webhookId || delivery.webhookId === webhookId)
+    .filter((delivery) => !status || delivery.status === status)
+    .slice(-limit)
+    .reverse();
+}
+
+// Suscribirse al bus y reintentar periódicamente las entregas pendientes
+function startWebhooks() {
+  onEvent(dispatchEvent);
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const delivery of loadDeliveries()) {
+      if (delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now) {
+        attemptDelivery(delivery).catch((err) => log.error({ err }, 'Error delivering'));
+      }
+    }
+  }, WEBHOOK_WORKER_INTERVAL);
+
+  log.info(`${loadWebhooks().length} webhook(s) registered`);
+}
+
+module.exports = {
+  VALID_EVENTS,
+  validateWebhook,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookInfo,
+  listDeliveries,
+  startWebhooks,
+};
@@ -0,0 +1,116 @@
+const { normalizePhone, PhoneValidationError } = require('./phone');
+const { createLogger } = require('./logger');
+
+const log = createLogger('whatsapp');
+
+// ============ ENVÍO DE MENSAJES ============
+
+// Verificar que el destinatario tenga WhatsApp antes de enviarle (activado por defecto)
+const VERIFY_RECIPIENTS = process.env.VERIFY_RECIPIENTS !== 'false';
+// Cuánto se recuerda el resultado de onWhatsApp de un número
+const NUMBER_CHECK_TTL = (parseInt(process.env.NUMBER_CHECK_TTL, 10) || 24 * 60 * 60) * 1000;
+
+class NotOnWhatsAppError extends Error {}
+
+// Resultados de onWhatsApp por "sessionId:teléfono"
+const numberCache = new Map();
+
+// Convertir un teléfono en JID de WhatsApp (los JID completos, como los de grupos, se respetan)
+function toJid(phone) {
+  return phone.includes('@') ? phone : `${phone.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Convertir un id de grupo (con o sin sufijo) en JID de grupo
+function toGroupJid(groupId) {
+  return groupId.endsWith('@g.us') ? groupId : `${groupId}@g.us`;
+}
+
+function isConnected(session) {
+  return !!session.sock && session.connectionStatus === 'connected';
+}
+
+// Consultar en WhatsApp si los números están registrados.
+// Devuelve { input, phone, jid, exists } por número; `jid` es el que informa WhatsApp.
+async function checkNumbers(session, phones) {
+  if (!isConnected(session)) {
+    throw new Error('WhatsApp not connected');
+  }
+
+  const now = Date.now();
+  const results = phones.map((input) => ({ input, phone: normalizePhone(input) }));
+  const missing = [...new Set(results
+    .map((result) => result.phone)
+    .filter((phone) => (numberCache.get(`${session.id}:${phone}`)?.expiresAt || 0) <= now))];
+
+  if (missing.length) {
+    const found = await session.sock.onWhatsApp(...missing.map(toJid)) || [];
+    for (const phone of missing) {
+      const match = found.find((item) => item.exists && item.jid.split('@')[0] === phone)
+        // México y otros países pueden devolver el JID con otra forma del número
+        || (missing.length === 1 ? found.find((item) => item.exists) : null);
+      numberCache.set(`${session.id}:${phone}`, {
+        exists: !!match,
+        jid: match ? match.jid : null,
+        expiresAt: now + NUMBER_CHECK_TTL,
+      });
+    }
+  }
+
+  return results.map(({ input, phone }) => {
+    const cached = numberCache.get(`${session.id}:${phone}`);
+    return { input, phone, jid: cached.jid, exists: cached.exists };
+  });
+}
+
+// Normalizar el destinatario de un envío y, si hay conexión, rechazarlo si no tiene WhatsApp.
+// Sin conexión solo se normaliza; la cola vuelve a verificar al enviar.
+async function resolveRecipient(session, phone) {
+  const normalized = normalizePhone(phone);
+  if (!VERIFY_RECIPIENTS || normalized.includes('@') || !isConnected(session)) return normalized;
+
+  const [result] = await checkNumbers(session, [normalized]);
+  if (!result.exists) {
+    throw new NotOnWhatsAppError(`${normalized} is not registered on WhatsApp`);
+  }
+  return normalized;
+}
+
+// Código HTTP para los errores de destinatario (null si es otro tipo de error)
+function recipientErrorStatus(error) {
+  if (error instanceof PhoneValidationError) return 400;
+  if (error instanceof NotOnWhatsAppError) return 422;
+  return null;
+}
+
+// Enviar cualquier contenido de Baileys ({ text }, { image, caption }, ...).
+// `options` son las opciones de sendMessage (p. ej. { quoted }).
+async function sendContent(session, phone, content, options = undefined) {
+  if (!isConnected(session)) {
+    throw new Error('WhatsApp not connected');
+  }
+
+  // Los JID completos (grupos, LIDs, chats de mensajes anteriores) se usan tal cual
+  let jid = toJid(phone);
+  if (VERIFY_RECIPIENTS && !phone.includes('@')) {
+    const [result] = await checkNumbers(session, [phone]);
+    if (!result.exists) {
+      throw new NotOnWhatsAppError(`${result.phone} is not registered on WhatsApp`);
+    }
+    jid = result.jid;
+  }
+
+  const sent = await session.sock.sendMessage(jid, content, options);
+  log.info({ sessionId: session.id }, `Message sent to ${jid}`);
+  return sent;
+}
+
+module.exports = {
+  NotOnWhatsAppError,
+  toJid,
+  toGroupJid,
+  isConnected,
+  checkNumbers,
+  resolveRecipient,
+  recipientErrorStatus,
+  sendContent,
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Las credenciales se prueban cifradas, como en producción
+process.env.CREDENTIALS_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+
+const { startHarness, waitFor } = require('./helpers/harness');
+const { isEncrypted, decryptValue } = require('../src/encryption');
+const { getSession, connectWhatsApp, stopSession } = require('../src/sessions');
+const { flushCredentials, syncAllCredentials } = require('../src/credentials');
+
+let harness;
+let sock;
+
+before(async () => {
+  harness = await startHarness();
+  ({ sock } = await harness.connect('default', '12015550100'));
+});
+
+after(() => harness.close());
+
+function stored(key) {
+  return harness.store.data.get('default')?.get(key) ?? null;
+}
+
+test('creds.update writes the creds to the store right away', async () => {
+  sock.updateCreds({ registered: true, me: { id: '12015550100:1@s.whatsapp.net' } });
+
+  const raw = await waitFor(() => {
+    const value = stored('creds');
+    return value && JSON.parse(decryptValue(value, 'creds')).registered && value;
+  });
+  assert.ok(isEncrypted(raw));
+  assert.equal(JSON.parse(decryptValue(raw, 'creds')).me.id, '12015550100:1@s.whatsapp.net');
+});
+
+test('signal keys are written in one batch', async () => {
+  const writes = harness.store.calls.write.length;
+
+  await sock.authState.keys.set({
+    'pre-key': { 1: { public: Buffer.from('a'), private: Buffer.from('b') }, 2: { public: Buffer.from('c'), private: Buffer.from('d') } },
+    'sender-key-memory': { 'group@g.us': { alice: true } },
+  });
+
+  // Se leen de lo pendiente aunque todavía no estén escritas
+  const pending = await sock.authState.keys.get('pre-key', ['1']);
+  assert.deepEqual(pending['1'].public, Buffer.from('a'));
+
+  await waitFor(() => stored('pre-key-2'));
+  const batch = harness.store.calls.write.slice(writes);
+  assert.equal(batch.length, 1);
+  assert.deepEqual(batch[0].keys.sort(), ['pre-key-1', 'pre-key-2', 'sender-key-memory-group@g.us'].sort());
+
+  // null borra la llave
+  await sock.authState.keys.set({ 'pre-key': { 1: null } });
+  await waitFor(() => stored('pre-key-1') === null);
+});
+
+test('a reconnect restores the auth state from the store', async () => {
+  const session = getSession('default');
+  stopSession(session);
+  await connectWhatsApp(session);
+
+  assert.notEqual(session.sock, sock);
+  assert.equal(session.sock.authState.creds.registered, true);
+  const keys = await session.sock.authState.keys.get('pre-key', ['1', '2']);
+  assert.equal(keys['1'], null);
+  assert.deepEqual(keys['2'].private, Buffer.from('d'));
+
+  sock = session.sock;
+  sock.open('12015550100');
+});
+
+test('failed writes are kept and retried', async () => {
+  harness.store.failWrites = new Error('store unavailable');
+  await sock.authState.keys.set({ 'app-state-sync-version': { critical: { version: 3 } } });
+
+  await assert.rejects(waitFor(() => stored('app-state-sync-version-critical'), { timeout: 100 }));
+
+  harness.store.failWrites = null;
+  const raw = await waitFor(() => stored('app-state-sync-version-critical'));
+  assert.equal(JSON.parse(decryptValue(raw, 'app-state-sync-version-critical')).version, 3);
+});
+
+test('POST /api/sync-credentials flushes and syncs the store', async () => {
+  const syncs = harness.store.calls.sync.length;
+
+  const { status, body } = await harness.request('POST', '/api/sync-credentials');
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(harness.store.calls.sync.length, syncs + 1);
+});
+
+test('shutdown writes pending keys and syncs only the sessions with pending uploads', async () => {
+  await syncAllCredentials();
+  const syncs = harness.store.calls.sync.length;
+
+  // Nada nuevo: no se vuelve a subir
+  await syncAllCredentials();
+  assert.equal(harness.store.calls.sync.length, syncs);
+
+  // Una llave pendiente se escribe y se sube antes de salir, sin esperar el timer
+  await sock.authState.keys.set({ 'pre-key': { 7: { public: Buffer.from('e'), private: Buffer.from('f') } } });
+  await syncAllCredentials();
+  assert.ok(stored('pre-key-7'));
+  assert.equal(harness.store.calls.sync.length, syncs + 1);
+});
+
+test('credential writes are counted by result in /metrics', async () => {
+  await flushCredentials(getSession('default'));
+  const { body } = await harness.request('GET', '/metrics');
+
+  assert.match(body, /whatsapp_credentials_sync_total\{session="default",store="memory",operation="write",result="success"\} \d+/);
+  assert.match(body, /whatsapp_credentials_sync_total\{session="default",store="memory",operation="write",result="failure"\} [1-9]/);
+});
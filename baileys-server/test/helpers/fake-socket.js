@@ -0,0 +1,119 @@
+const { EventEmitter } = require('events');
+
+// ============ SOCKET FALSO DE BAILEYS ============
+// Implementa lo que el servidor usa del socket real. Las pruebas disparan los eventos
+// de Baileys (open, close, receive, updateCreds) y revisan los envíos en `sent`.
+
+let messageCounter = 0;
+
+class FakeSocket {
+  constructor(options) {
+    this.options = options;
+    this.authState = options.auth;
+    this.ev = new EventEmitter();
+    this.user = null;
+    this.ended = false;
+    this.loggedOut = false;
+    // Llamadas a sendMessage: { jid, content, options, key }
+    this.sent = [];
+    this.presences = [];
+    // Números (solo dígitos) que onWhatsApp reporta como no registrados
+    this.unregistered = new Set();
+    // JID que onWhatsApp devuelve para un número, si no es el mismo (p. ej. 52... -> 521...)
+    this.registeredAs = new Map();
+    // Si se define, sendMessage lanza este error
+    this.sendError = null;
+  }
+
+  // ---- Eventos que emitiría WhatsApp ----
+
+  open(phone = '12015550100') {
+    this.user = { id: `${phone}:1@s.whatsapp.net`, name: 'Test' };
+    this.emitConnection({ connection: 'open' });
+  }
+
+  qr(code = 'fake-qr-code') {
+    this.emitConnection({ qr: code });
+  }
+
+  close(statusCode, message = 'Connection Closed') {
+    const error = Object.assign(new Error(message), { output: { statusCode } });
+    this.emitConnection({ connection: 'close', lastDisconnect: { error, date: new Date() } });
+  }
+
+  emitConnection(update) {
+    this.ev.emit('connection.update', update);
+  }
+
+  // Mensajes entrantes (type "notify" = mensajes nuevos)
+  receive(messages, type = 'notify') {
+    this.ev.emit('messages.upsert', { messages: [].concat(messages), type });
+  }
+
+  // Igual que Baileys: se modifican las creds del auth state y se avisa
+  updateCreds(update) {
+    Object.assign(this.authState.creds, update);
+    this.ev.emit('creds.update', update);
+  }
+
+  // ---- API del socket ----
+
+  async sendMessage(jid, content, options) {
+    if (this.sendError) throw this.sendError;
+
+    const key = { remoteJid: jid, fromMe: true, id: `FAKE${++messageCounter}` };
+    this.sent.push({ jid, content, options, key });
+    return { key, message: content, messageTimestamp: Math.floor(Date.now() / 1000) };
+  }
+
+  async onWhatsApp(...jids) {
+    return jids.map((jid) => {
+      const phone = jid.split('@')[0];
+      return { jid: this.registeredAs.get(phone) || jid, exists: !this.unregistered.has(phone) };
+    });
+  }
+
+  async sendPresenceUpdate(presence, jid) {
+    this.presences.push({ presence, jid });
+  }
+
+  async requestPairingCode() {
+    return 'FAKECODE';
+  }
+
+  async updateMediaMessage(message) {
+    return message;
+  }
+
+  async logout() {
+    this.loggedOut = true;
+    this.close(401, 'Logged Out');
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+// Transporte para setTransport: guarda cada socket creado en `sockets`.
+// `media` es el contenido que devuelve la descarga de archivos.
+function createFakeTransport({ media = Buffer.from('fake media') } = {}) {
+  const sockets = [];
+
+  return {
+    sockets,
+    makeSocket(options) {
+      const sock = new FakeSocket(options);
+      sockets.push(sock);
+      return sock;
+    },
+    async fetchVersion() {
+      return { version: [2, 3000, 0], isLatest: true };
+    },
+    async downloadMedia() {
+      return media;
+    },
+  };
+}
+
+module.exports = { FakeSocket, createFakeTransport };
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ============ ENTORNO DE PRUEBAS ============
+// Cada archivo de pruebas corre en su propio proceso: la configuración se fija aquí,
+// antes de cargar el servidor, con una carpeta de datos temporal y esperas cortas.
+
+const TEST_SECRET = 'test-secret';
+const DATA_FOLDER = fs.mkdtempSync(path.join(os.tmpdir(), 'baileys-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  API_SECRET: TEST_SECRET,
+  DATA_FOLDER,
+  SESSIONS_FOLDER: path.join(DATA_FOLDER, 'sessions'),
+  PUBLIC_URL: 'http://127.0.0.1',
+  CREDENTIALS_STORE: 'memory',
+  CREDENTIALS_FLUSH_DELAY: '10',
+  RECONNECT_BASE_DELAY_MS: '20',
+  EDGE_FUNCTION_MAX_ATTEMPTS: '1',
+  THROTTLE_MIN_DELAY_MS: '1',
+  THROTTLE_JITTER_MS: '1',
+  THROTTLE_RECIPIENT_INTERVAL_MS: '1',
+  // Un archivo de pruebas puede activar "escribiendo…" antes de cargar el harness
+  THROTTLE_TYPING: process.env.THROTTLE_TYPING || 'false',
+  // Los servidores de prueba que sirven media escuchan en 127.0.0.1
+  MEDIA_URL_ALLOWED_HOSTS: '127.0.0.1',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+});
+
+const { setTransport } = require('../../src/transport');
+const { registerCredentialsStore } = require('../../src/credentials');
+const { setEdgeFunctionUrl } = require('../../src/processor');
+const { loadSessions, listSessions, getSession, connectWhatsApp, stopSession } = require('../../src/sessions');
+const app = require('../../src/app');
+const { createFakeTransport } = require('./fake-socket');
+const { createMemoryStore } = require('./memory-store');
+const { startStubProcessor } = require('./stub-processor');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Esperar a que `check` devuelva algo verdadero
+async function waitFor(check, { timeout = 3000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await sleep(interval);
+  }
+}
+
+// Servidor con socket falso, credenciales en memoria y procesador local
+async function startHarness() {
+  const transport = createFakeTransport();
+  setTransport(transport);
+
+  const store = createMemoryStore();
+  registerCredentialsStore('memory', store);
+
+  const processor = await startStubProcessor();
+  setEdgeFunctionUrl(processor.url);
+
+  loadSessions();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    transport,
+    store,
+    processor,
+    baseUrl,
+
+    // Conectar una sesión y abrir su socket falso como el número `phone`
+    async connect(sessionId = 'default', phone = undefined) {
+      const session = getSession(sessionId);
+      await connectWhatsApp(session);
+      const sock = session.sock;
+      sock.open(phone);
+      return { session, sock };
+    },
+
+    // Llamar a la API; devuelve { status, body }
+    async request(method, urlPath, body = undefined, { token = TEST_SECRET } = {}) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        // Respuesta que no es JSON (p. ej. /metrics)
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+
+    async close() {
+      for (const session of listSessions()) {
+        stopSession(session);
+      }
+      await processor.close();
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      setTransport();
+      fs.rmSync(DATA_FOLDER, { recursive: true, force: true });
+    },
+  };
+}
+
+// Mensajes con la forma que entrega Baileys
+let messageCounter = 0;
+
+function incomingMessage(phone, message, fields = {}) {
+  return {
+    key: { remoteJid: `${phone}@s.whatsapp.net`, fromMe: false, id: `IN${++messageCounter}` },
+    message,
+    messageTimestamp: Math.floor(Date.now() / 1000),
+    pushName: 'Cliente',
+    ...fields,
+  };
+}
+
+function textMessage(phone, text, fields) {
+  return incomingMessage(phone, { conversation: text }, fields);
+}
+
+module.exports = {
+  TEST_SECRET,
+  DATA_FOLDER,
+  sleep,
+  waitFor,
+  startHarness,
+  incomingMessage,
+  textMessage,
+};
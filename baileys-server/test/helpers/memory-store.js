@@ -0,0 +1,64 @@
+// ============ ALMACÉN DE CREDENCIALES EN MEMORIA ============
+// Misma interfaz que los almacenes de src/credential-stores, sin disco ni red.
+// Guarda un registro de las operaciones para que las pruebas revisen la sincronización.
+
+function createMemoryStore() {
+  // sessionId -> Map(key -> valor serializado)
+  const data = new Map();
+  const calls = { write: [], sync: [], clear: [] };
+  // Sesiones escritas desde la última sincronización (como las subidas agrupadas de Supabase)
+  const unsynced = new Set();
+
+  function keys(session) {
+    if (!data.has(session.id)) data.set(session.id, new Map());
+    return data.get(session.id);
+  }
+
+  return {
+    name: 'memory',
+    data,
+    calls,
+    // Si se define, write lanza este error (para probar los reintentos)
+    failWrites: null,
+
+    async read(session, key) {
+      return keys(session).get(key) ?? null;
+    },
+
+    async readAll(session) {
+      return Object.fromEntries(keys(session));
+    },
+
+    async write(session, entries) {
+      if (this.failWrites) throw this.failWrites;
+
+      calls.write.push({ sessionId: session.id, keys: entries.map(([key]) => key) });
+      unsynced.add(session.id);
+      for (const [key, value] of entries) {
+        if (value === null) {
+          keys(session).delete(key);
+        } else {
+          keys(session).set(key, value);
+        }
+      }
+    },
+
+    hasPendingSync(session) {
+      return unsynced.has(session.id);
+    },
+
+    async sync(session) {
+      calls.sync.push({ sessionId: session.id });
+      unsynced.delete(session.id);
+      return true;
+    },
+
+    async clear(session) {
+      calls.clear.push({ sessionId: session.id });
+      data.delete(session.id);
+      unsynced.delete(session.id);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,40 @@
+const http = require('http');
+
+// ============ PROCESADOR FALSO ============
+// Servidor HTTP local que hace de edge function: guarda cada request recibido y
+// responde con lo que devuelva `respond` (por defecto, sin respuesta para el cliente).
+
+async function startStubProcessor() {
+  const requests = [];
+  const stub = {
+    requests,
+    url: null,
+    // (body) => { status, body }
+    respond: () => ({ status: 200, body: { success: true } }),
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ headers: req.headers, body });
+
+      const { status = 200, body: response = {} } = stub.respond(body) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}/process`;
+
+  stub.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return stub;
+}
+
+module.exports = { startStubProcessor };
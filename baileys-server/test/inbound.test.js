@@ -0,0 +1,251 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor, sleep, textMessage, incomingMessage } = require('./helpers/harness');
+
+const CUSTOMER = '12015550123';
+
+let harness;
+let sock;
+
+before(async () => {
+  harness = await startHarness();
+  ({ sock } = await harness.connect('default', '12015550100'));
+});
+
+after(() => harness.close());
+
+beforeEach(() => {
+  harness.processor.requests.length = 0;
+  harness.processor.respond = () => ({ status: 200, body: { success: true } });
+});
+
+// Esperar el request que llegó al procesador por el mensaje `messageId`
+function processed(messageId) {
+  return waitFor(() => harness.processor.requests.find((request) => request.body.messageId === messageId)?.body);
+}
+
+test('text messages are forwarded to the processor', async () => {
+  const msg = textMessage(CUSTOMER, 'Hola, ¿tienen envío?');
+  sock.receive(msg);
+
+  const body = await processed(msg.key.id);
+  assert.equal(body.phone, CUSTOMER);
+  assert.equal(body.message, 'Hola, ¿tienen envío?');
+  assert.equal(body.type, 'text');
+  assert.equal(body.toPhone, '12015550100');
+  assert.equal(body.sessionId, 'default');
+  assert.equal(body.pushName, 'Cliente');
+  assert.equal(body.botActive, true);
+  // El secreto solo viaja en el body con EDGE_FUNCTION_SECRET_IN_BODY=true
+  assert.equal(body.secret, undefined);
+});
+
+test('the processor reply is sent back to the customer', async () => {
+  harness.processor.respond = () => ({ status: 200, body: { success: true, reply: 'Sí, a todo el país' } });
+  const msg = textMessage(CUSTOMER, '¿Envían a Monterrey?');
+  sock.receive(msg);
+
+  const sent = await waitFor(() => sock.sent.find((item) => item.content.text === 'Sí, a todo el país'));
+  assert.equal(sent.jid, `${CUSTOMER}@s.whatsapp.net`);
+});
+
+test('Mexican mobile numbers (521...) get their reply at the same JID', async () => {
+  harness.processor.respond = () => ({ status: 200, body: { success: true, reply: 'Hola desde México' } });
+  const msg = textMessage('5215551234567', 'Hola');
+  sock.receive(msg);
+
+  const body = await processed(msg.key.id);
+  assert.equal(body.phone, '5215551234567');
+
+  const sent = await waitFor(() => sock.sent.find((item) => item.content.text === 'Hola desde México'));
+  assert.equal(sent.jid, '5215551234567@s.whatsapp.net');
+});
+
+test('messages sent through the API join the chat WhatsApp uses for that number', async () => {
+  // WhatsApp registra el móvil mexicano 52 55 5123 4568 como 521...
+  sock.registeredAs.set('525551234568', '5215551234568@s.whatsapp.net');
+  const incoming = textMessage('5215551234568', 'Hola');
+  sock.receive(incoming);
+  await processed(incoming.key.id);
+
+  const { body } = await harness.request('POST', '/api/send', { phone: '+52 55 5123 4568', message: 'Respuesta por API' });
+  await waitFor(async () => (await harness.request('GET', `/api/messages/${body.messageId}`)).body.status === 'sent');
+
+  const { body: history } = await harness.request('GET', '/api/history/chats');
+  const chats = history.chats.map((item) => item.chat);
+  assert.ok(chats.includes('5215551234568'));
+  assert.equal(chats.includes('525551234568'), false);
+
+  const { body: conversation } = await harness.request('GET', '/api/history/chats/5215551234568');
+  assert.deepEqual(conversation.messages.map((message) => message.direction).sort(), ['in', 'out']);
+});
+
+test('redelivered messages are processed only once', async () => {
+  const msg = textMessage(CUSTOMER, 'Duplicado');
+  sock.receive(msg);
+  await processed(msg.key.id);
+
+  sock.receive(msg);
+  await sleep(100);
+  assert.equal(harness.processor.requests.filter((request) => request.body.messageId === msg.key.id).length, 1);
+});
+
+test('a message redelivered under its LID is not processed again', async () => {
+  const msg = textMessage(CUSTOMER, 'Por teléfono y por LID');
+  sock.receive(msg);
+  await processed(msg.key.id);
+
+  sock.receive({ ...msg, key: { ...msg.key, remoteJid: '198765432109876@lid' } });
+  await sleep(100);
+  assert.equal(harness.processor.requests.filter((request) => request.body.messageId === msg.key.id).length, 1);
+});
+
+test('a reply typed on the phone pauses the bot in that chat', async () => {
+  const own = textMessage(CUSTOMER, 'Te atiendo yo');
+  own.key.fromMe = true;
+  sock.receive(own);
+
+  const state = await waitFor(async () => {
+    const { body } = await harness.request('GET', `/api/bot/chats/${CUSTOMER}`);
+    return body.state === 'paused' && body;
+  });
+  assert.ok(state.until);
+
+  // El procesador sigue recibiendo los mensajes, pero su respuesta no se envía
+  harness.processor.respond = () => ({ status: 200, body: { success: true, reply: 'Respuesta automática' } });
+  const msg = textMessage(CUSTOMER, '¿Sigues ahí?');
+  sock.receive(msg);
+
+  const body = await processed(msg.key.id);
+  assert.equal(body.botActive, false);
+  await sleep(100);
+  assert.equal(sock.sent.some((item) => item.content.text === 'Respuesta automática'), false);
+  assert.equal(harness.processor.requests.some((request) => request.body.messageId === own.key.id), false);
+
+  const resumed = await harness.request('POST', `/api/bot/chats/${CUSTOMER}/resume`);
+  assert.equal(resumed.body.state, 'active');
+});
+
+test('images are downloaded and forwarded with a signed URL', async () => {
+  const msg = incomingMessage(CUSTOMER, {
+    imageMessage: { caption: 'Mi comprobante', mimetype: 'image/jpeg', fileLength: 10 },
+  });
+  sock.receive(msg);
+
+  const body = await processed(msg.key.id);
+  assert.equal(body.type, 'image');
+  assert.equal(body.message, 'Mi comprobante');
+  assert.equal(body.mediaType, 'image');
+  assert.equal(body.media.mimetype, 'image/jpeg');
+  assert.match(body.media.id, /^[a-f0-9]{64}\.jpg$/);
+
+  // La URL firmada sirve el archivo descargado
+  const url = new URL(body.media.url);
+  const response = await fetch(`${harness.baseUrl}${url.pathname}${url.search}`);
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'fake media');
+
+  const tampered = await fetch(`${harness.baseUrl}${url.pathname}?expires=${url.searchParams.get('expires')}&token=bad`);
+  assert.equal(tampered.status, 403);
+});
+
+test('voice notes, documents and oversized files keep their metadata', async () => {
+  const voice = incomingMessage(CUSTOMER, { audioMessage: { ptt: true, seconds: 7, mimetype: 'audio/ogg; codecs=opus' } });
+  const document = incomingMessage(CUSTOMER, { documentMessage: { fileName: 'factura.pdf', mimetype: 'application/pdf' } });
+  const huge = incomingMessage(CUSTOMER, { videoMessage: { mimetype: 'video/mp4', fileLength: 10 * 1024 * 1024 * 1024 } });
+  sock.receive([voice, document, huge]);
+
+  const voiceBody = await processed(voice.key.id);
+  assert.equal(voiceBody.type, 'audio');
+  assert.equal(voiceBody.media.ptt, true);
+  assert.equal(voiceBody.media.seconds, 7);
+
+  const documentBody = await processed(document.key.id);
+  assert.equal(documentBody.message, '[📄 factura.pdf]');
+  assert.match(documentBody.media.id, /\.pdf$/);
+
+  const hugeBody = await processed(huge.key.id);
+  assert.equal(hugeBody.type, 'video');
+  assert.equal(hugeBody.media.url, null);
+});
+
+test('locations, contacts and quoted replies are normalized', async () => {
+  const location = incomingMessage(CUSTOMER, {
+    locationMessage: { degreesLatitude: 19.43, degreesLongitude: -99.13, name: 'Zócalo' },
+  });
+  const contact = incomingMessage(CUSTOMER, {
+    contactMessage: { displayName: 'Ana', vcard: 'BEGIN:VCARD\nTEL;type=CELL;waid=12015550142:+1 201-555-0142\nEND:VCARD' },
+  });
+  const reply = incomingMessage(CUSTOMER, {
+    extendedTextMessage: {
+      text: 'Este',
+      contextInfo: { stanzaId: 'ORIGINAL1', quotedMessage: { conversation: '¿Cuál modelo?' } },
+    },
+  });
+  sock.receive([location, contact, reply]);
+
+  const locationBody = await processed(location.key.id);
+  assert.deepEqual(
+    { latitude: locationBody.location.latitude, longitude: locationBody.location.longitude, name: locationBody.location.name },
+    { latitude: 19.43, longitude: -99.13, name: 'Zócalo' },
+  );
+
+  const contactBody = await processed(contact.key.id);
+  assert.deepEqual(contactBody.contacts[0].phones, ['12015550142']);
+
+  const replyBody = await processed(reply.key.id);
+  assert.equal(replyBody.quoted.messageId, 'ORIGINAL1');
+  assert.equal(replyBody.quoted.text, '¿Cuál modelo?');
+});
+
+test('failed processor calls are kept as dead letters and can be replayed', async () => {
+  harness.processor.respond = () => ({ status: 500, body: { error: 'boom' } });
+  const msg = textMessage(CUSTOMER, 'Se perdió');
+  sock.receive(msg);
+
+  const deadLetter = await waitFor(async () => {
+    const { body } = await harness.request('GET', '/api/dead-letters');
+    return body.deadLetters.find((entry) => entry.messageId === msg.key.id);
+  });
+
+  harness.processor.respond = () => ({ status: 200, body: { success: true } });
+  const { body } = await harness.request('POST', `/api/dead-letters/${deadLetter.id}/replay`);
+  assert.equal(body.success, true);
+
+  const { body: remaining } = await harness.request('GET', '/api/dead-letters');
+  assert.equal(remaining.deadLetters.some((entry) => entry.id === deadLetter.id), false);
+});
+
+test('inbound messages and processor latency appear in /metrics', async () => {
+  const { body } = await harness.request('GET', '/metrics');
+
+  assert.match(body, /whatsapp_messages_received_total\{session="default",type="text"\} \d+/);
+  assert.match(body, /whatsapp_messages_received_total\{session="default",type="image"\} 1/);
+  assert.match(body, /whatsapp_edge_function_errors_total\{session="default",reason="http_500"\} 1/);
+  assert.match(body, /whatsapp_edge_function_duration_seconds_count\{session="default",result="success"\} \d+/);
+});
+
+test('bulk replay runs in the background and reports progress in the list', async () => {
+  harness.processor.respond = () => ({ status: 503, body: { error: 'unavailable' } });
+  const first = textMessage(CUSTOMER, 'Primero');
+  const second = textMessage(CUSTOMER, 'Segundo');
+  sock.receive([first, second]);
+
+  await waitFor(async () => {
+    const { body } = await harness.request('GET', '/api/dead-letters');
+    return body.deadLetters.some((entry) => entry.messageId === second.key.id);
+  });
+
+  harness.processor.respond = () => ({ status: 200, body: { success: true } });
+  const started = await harness.request('POST', '/api/dead-letters/replay');
+  assert.equal(started.status, 202);
+  assert.equal(started.body.replay.status, 'running');
+
+  const { body } = await waitFor(async () => {
+    const response = await harness.request('GET', '/api/dead-letters');
+    return response.body.replay.status === 'done' && response;
+  });
+  assert.equal(body.replay.replayed, body.replay.total);
+  assert.equal(body.replay.failed, 0);
+  assert.deepEqual(body.deadLetters, []);
+});
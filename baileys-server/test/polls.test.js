@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { getSession } = require('../src/sessions');
+const { rememberPoll, recordPollUpdates } = require('../src/polls');
+
+const GROUP = '120363000000000001@g.us';
+
+let harness;
+let session;
+let voteCounter = 0;
+
+before(async () => {
+  harness = await startHarness();
+  ({ session } = await harness.connect('default', '12015550100'));
+
+  rememberPoll(session, {
+    key: { remoteJid: GROUP, fromMe: true, id: 'POLL1' },
+    message: {
+      pollCreationMessage: {
+        name: '¿Qué día prefieres?',
+        options: [{ optionName: 'Lunes' }, { optionName: 'Martes' }],
+        selectableOptionsCount: 1,
+      },
+    },
+  });
+});
+
+after(() => harness.close());
+
+// Voto ya descifrado, como llega en messages.update
+function vote(voter, options) {
+  return {
+    pollUpdateMessageKey: { remoteJid: GROUP, participant: voter, fromMe: false, id: `VOTE${++voteCounter}` },
+    vote: { selectedOptions: options.map((option) => crypto.createHash('sha256').update(option).digest()) },
+    senderTimestampMs: Date.now(),
+  };
+}
+
+function tally(results) {
+  return Object.fromEntries(results.map((result) => [result.name, result.voters.length]));
+}
+
+test('each voter counts once, with their latest vote', () => {
+  const ana = '12015550142@s.whatsapp.net';
+  const luis = '12015550143@s.whatsapp.net';
+
+  recordPollUpdates(session, 'POLL1', [vote(ana, ['Lunes']), vote(luis, ['Lunes'])]);
+  const { results } = recordPollUpdates(session, 'POLL1', [vote(ana, ['Martes'])]);
+
+  assert.deepEqual(tally(results), { Lunes: 1, Martes: 1 });
+  assert.deepEqual(results.find((result) => result.name === 'Martes').voters, [ana]);
+});
+
+test('a retracted vote is removed from the results', () => {
+  const luis = '12015550143@s.whatsapp.net';
+
+  const { poll, results } = recordPollUpdates(session, 'POLL1', [vote(luis, [])]);
+
+  assert.deepEqual(tally(results), { Lunes: 0, Martes: 1 });
+  assert.equal(results.some((result) => result.voters.includes(luis)), false);
+  assert.equal(poll.pollUpdates.length, 1);
+});
@@ -0,0 +1,63 @@
+// "Escribiendo…" dura al menos un segundo: tiempo para cancelar antes del envío
+process.env.THROTTLE_TYPING = 'true';
+
+const fs = require('fs');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor, sleep, DATA_FOLDER } = require('./helpers/harness');
+const { flushQueue } = require('../src/queue');
+
+let harness;
+let sock;
+
+before(async () => {
+  harness = await startHarness();
+  ({ sock } = await harness.connect('default', '12015550100'));
+});
+
+after(() => harness.close());
+
+test('a message cancelled while the typing indicator runs is not sent', async () => {
+  const { body } = await harness.request('POST', '/api/send', { phone: '12015550123', message: 'No enviar' });
+
+  await waitFor(() => sock.presences.some((item) => item.presence === 'composing'));
+  const cancelled = await harness.request('DELETE', `/api/messages/${body.messageId}`);
+  assert.equal(cancelled.body.cancelled, true);
+
+  await waitFor(() => sock.presences.some((item) => item.presence === 'paused'));
+  await sleep(100);
+
+  assert.equal(sock.sent.some((item) => item.content.text === 'No enviar'), false);
+  const message = await harness.request('GET', `/api/messages/${body.messageId}`);
+  assert.equal(message.body.status, 'cancelled');
+});
+
+test('the queue keeps sending after a cancelled message', async () => {
+  await harness.request('POST', '/api/send', { phone: '12015550124', message: 'Sí enviar' });
+
+  const sent = await waitFor(() => sock.sent.find((item) => item.content.text === 'Sí enviar'));
+  assert.equal(sent.jid, '12015550124@s.whatsapp.net');
+});
+
+test('queue changes are written to disk in batches', async () => {
+  const outbox = path.join(DATA_FOLDER, 'outbox.json');
+  const outboxWrites = (writes) => writes.mock.calls.filter((call) => String(call.arguments[0]).startsWith(outbox)).length;
+  flushQueue();
+  const writes = mock.method(fs, 'writeFileSync');
+
+  try {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      const { body } = await harness.request('POST', '/api/send', { phone: `1201555013${i}`, message: `Lote ${i}` });
+      ids.push(body.messageId);
+    }
+    flushQueue();
+
+    assert.ok(outboxWrites(writes) < ids.length);
+    const saved = JSON.parse(fs.readFileSync(outbox, 'utf8')).map((entry) => entry.id);
+    assert.ok(ids.every((id) => saved.includes(id)));
+  } finally {
+    writes.mock.restore();
+  }
+});
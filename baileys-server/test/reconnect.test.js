@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { onEvent, EVENTS } = require('../src/events');
+const { getSession, connectWhatsApp, stopSession } = require('../src/sessions');
+const { setTransport } = require('../src/transport');
+
+let harness;
+const events = [];
+
+before(async () => {
+  harness = await startHarness();
+  onEvent((event) => events.push(event));
+});
+
+after(() => harness.close());
+
+function eventsOf(name) {
+  return events.filter((event) => event.event === name);
+}
+
+test('a QR code is published while the socket waits for pairing', async () => {
+  const session = getSession('default');
+  await connectWhatsApp(session);
+  const { sock } = session;
+
+  sock.qr('2@fake-qr');
+  await waitFor(() => session.qrCode);
+
+  assert.equal(session.connectionStatus, 'waiting_qr');
+  assert.equal(eventsOf(EVENTS.QR_GENERATED).length, 1);
+
+  sock.open('12015550100');
+  assert.equal(session.connectionStatus, 'connected');
+  assert.equal(session.qrCode, null);
+});
+
+test('a dropped connection schedules a reconnect with the disconnect reason', async () => {
+  const session = getSession('default');
+  const sockets = harness.transport.sockets.length;
+  events.length = 0;
+
+  session.sock.close(428);
+
+  const [scheduled] = await waitFor(() => eventsOf(EVENTS.RECONNECT_SCHEDULED).length && eventsOf(EVENTS.RECONNECT_SCHEDULED));
+  assert.equal(scheduled.data.statusCode, 428);
+  assert.equal(scheduled.data.reason, 'connectionClosed');
+  assert.equal(scheduled.data.attempt, 1);
+  assert.equal(session.connectionStatus, 'disconnected');
+
+  // El reintento crea un socket nuevo; al abrirse se reinician los intentos
+  const sock = await waitFor(() => harness.transport.sockets.length > sockets && session.sock);
+  sock.open('12015550100');
+  assert.equal(session.connectionStatus, 'connected');
+  assert.equal(session.reconnectAttempts, 0);
+});
+
+test('the reconnect delay grows with each failed attempt', async () => {
+  const session = getSession('default');
+  events.length = 0;
+
+  session.sock.close(408, 'Connection Lost');
+  await waitFor(() => session.sock && harness.transport.sockets.at(-1) === session.sock);
+  session.sock.close(408, 'Connection Lost');
+
+  const delays = await waitFor(() => {
+    const scheduled = eventsOf(EVENTS.RECONNECT_SCHEDULED);
+    return scheduled.length === 2 && scheduled.map((event) => event.data.delayMs);
+  });
+  assert.ok(delays[1] > delays[0]);
+
+  const sock = await waitFor(() => session.sock);
+  sock.open('12015550100');
+});
+
+test('a logged out session is not reconnected and its credentials are cleared', async () => {
+  const session = getSession('default');
+  const sockets = harness.transport.sockets.length;
+  const clears = harness.store.calls.clear.length;
+  events.length = 0;
+
+  session.sock.close(401, 'Logged Out');
+
+  await waitFor(() => harness.store.calls.clear.length > clears);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.equal(eventsOf(EVENTS.RECONNECT_SCHEDULED).length, 0);
+  assert.equal(harness.transport.sockets.length, sockets);
+  assert.equal(session.connectionStatus, 'disconnected');
+  assert.equal(session.sock, null);
+});
+
+test('POST /api/reconnect starts a fresh socket', async () => {
+  const session = getSession('default');
+  const sockets = harness.transport.sockets.length;
+
+  const { status } = await harness.request('POST', '/api/reconnect');
+  assert.equal(status, 200);
+
+  const sock = await waitFor(() => harness.transport.sockets.length > sockets && session.sock);
+  sock.open('12015550100');
+  assert.equal(session.connectionStatus, 'connected');
+});
+
+// Transporte cuya consulta de versión espera a que la prueba la libere
+function holdFetchVersion() {
+  const pending = [];
+  setTransport({
+    ...harness.transport,
+    fetchVersion: () => new Promise((resolve) => pending.push(resolve)),
+  });
+  return {
+    pending,
+    release() {
+      for (const resolve of pending.splice(0)) resolve({ version: [2, 3000, 0], isLatest: true });
+    },
+  };
+}
+
+test('a session stopped while connecting does not get a socket', async () => {
+  const session = getSession('default');
+  stopSession(session);
+  const sockets = harness.transport.sockets.length;
+  const hold = holdFetchVersion();
+
+  try {
+    const connecting = connectWhatsApp(session);
+    await waitFor(() => hold.pending.length === 1);
+    stopSession(session);
+    hold.release();
+    await connecting;
+
+    assert.equal(harness.transport.sockets.length, sockets);
+    assert.equal(session.sock, null);
+    assert.equal(session.isConnecting, false);
+  } finally {
+    setTransport(harness.transport);
+  }
+});
+
+test('a reconnect during a pending connection leaves a single socket', async () => {
+  const session = getSession('default');
+  const sockets = harness.transport.sockets.length;
+  const hold = holdFetchVersion();
+
+  try {
+    const first = connectWhatsApp(session);
+    await waitFor(() => hold.pending.length === 1);
+    stopSession(session);
+    const second = connectWhatsApp(session);
+    await waitFor(() => hold.pending.length === 2);
+    hold.release();
+    await Promise.all([first, second]);
+
+    assert.equal(harness.transport.sockets.length, sockets + 1);
+    assert.equal(session.sock, harness.transport.sockets.at(-1));
+    session.sock.open('12015550100');
+    assert.equal(session.connectionStatus, 'connected');
+  } finally {
+    setTransport(harness.transport);
+  }
+});
+
+test('reconnects are counted by reason in /metrics', async () => {
+  const { body } = await harness.request('GET', '/metrics');
+
+  assert.match(body, /whatsapp_reconnects_total\{session="default",reason="connectionClosed"\} 1/);
+  assert.match(body, /whatsapp_reconnects_total\{session="default",reason="connectionLost"\} 2/);
+});
@@ -0,0 +1,242 @@
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor } = require('./helpers/harness');
+
+let harness;
+let sock;
+
+before(async () => {
+  harness = await startHarness();
+  ({ sock } = await harness.connect('default', '12015550100'));
+});
+
+after(() => harness.close());
+
+test('GET /health responds without authentication', async () => {
+  const { status, body } = await harness.request('GET', '/health', undefined, { token: null });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.whatsapp, 'connected');
+});
+
+test('API routes reject missing or wrong tokens', async () => {
+  assert.equal((await harness.request('GET', '/api/status', undefined, { token: null })).status, 401);
+  assert.equal((await harness.request('GET', '/api/status', undefined, { token: 'wrong' })).status, 401);
+});
+
+test('GET /api/status reports the connected phone', async () => {
+  const { status, body } = await harness.request('GET', '/api/status');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'connected');
+  assert.equal(body.phone, '12015550100');
+});
+
+test('POST /api/send queues the message and delivers it through the socket', async () => {
+  const { status, body } = await harness.request('POST', '/api/send', { phone: '+1 201 555 0123', message: 'Hola' });
+
+  assert.equal(status, 200);
+  assert.ok(body.messageId);
+
+  const sent = await waitFor(() => sock.sent.find((item) => item.content.text === 'Hola'));
+  assert.equal(sent.jid, '12015550123@s.whatsapp.net');
+
+  const message = await waitFor(async () => {
+    const response = await harness.request('GET', `/api/messages/${body.messageId}`);
+    return response.body.status === 'sent' && response.body;
+  });
+  assert.equal(message.waMessageId, sent.key.id);
+});
+
+test('POST /api/send validates the recipient', async () => {
+  const missing = await harness.request('POST', '/api/send', { phone: '12015550123' });
+  assert.equal(missing.status, 400);
+
+  const invalid = await harness.request('POST', '/api/send', { phone: '123', message: 'Hola' });
+  assert.equal(invalid.status, 400);
+
+  sock.unregistered.add('12015550199');
+  const unregistered = await harness.request('POST', '/api/send', { phone: '12015550199', message: 'Hola' });
+  assert.equal(unregistered.status, 422);
+});
+
+test('POST /api/check-number reports each number', async () => {
+  sock.unregistered.add('12015550198');
+  const { status, body } = await harness.request('POST', '/api/check-number', { phones: ['12015550123', '12015550198'] });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((result) => result.exists), [true, false]);
+});
+
+test('POST /api/sessions creates a session with its own socket', async () => {
+  const created = await harness.request('POST', '/api/sessions', { id: 'ventas' });
+  assert.equal(created.status, 201);
+
+  const ventasSock = await waitFor(() => harness.transport.sockets.find((item) => item !== sock && !item.ended));
+  ventasSock.open('12015550111');
+
+  const status = await harness.request('GET', '/api/sessions/ventas/status');
+  assert.equal(status.body.status, 'connected');
+  assert.equal(status.body.phone, '12015550111');
+
+  const duplicate = await harness.request('POST', '/api/sessions', { id: 'ventas' });
+  assert.equal(duplicate.status, 409);
+
+  const deleted = await harness.request('DELETE', '/api/sessions/ventas');
+  assert.equal(deleted.status, 200);
+  assert.ok(ventasSock.ended);
+});
+
+test('POST /api/sessions rejects a serverName that is invalid or already in use', async () => {
+  const invalid = await harness.request('POST', '/api/sessions', { id: 'soporte', serverName: 42 });
+  assert.equal(invalid.status, 400);
+
+  const empty = await harness.request('POST', '/api/sessions', { id: 'soporte', serverName: ' ' });
+  assert.equal(empty.status, 400);
+
+  // "default" es el serverName de la sesión por defecto
+  const taken = await harness.request('POST', '/api/sessions', { id: 'soporte', serverName: 'default' });
+  assert.equal(taken.status, 409);
+  assert.equal((await harness.request('GET', '/api/sessions/soporte/status')).status, 404);
+});
+
+test('webhooks validate sessionIds, secret and enabled on create and update', async () => {
+  const url = 'https://example.com/hook';
+
+  assert.equal((await harness.request('POST', '/api/webhooks', { url, sessionIds: 'ventas' })).status, 400);
+  assert.equal((await harness.request('POST', '/api/webhooks', { url, sessionIds: [1] })).status, 400);
+  assert.equal((await harness.request('POST', '/api/webhooks', { url, secret: 123 })).status, 400);
+
+  const created = await harness.request('POST', '/api/webhooks', { url, sessionIds: ['ventas'] });
+  assert.equal(created.status, 201);
+  const { id } = created.body.webhook;
+
+  assert.equal((await harness.request('PATCH', `/api/webhooks/${id}`, { enabled: 'false' })).status, 400);
+  assert.equal((await harness.request('PATCH', `/api/webhooks/${id}`, { sessionIds: 'vent' })).status, 400);
+
+  const disabled = await harness.request('PATCH', `/api/webhooks/${id}`, { enabled: false, sessionIds: null });
+  assert.equal(disabled.body.webhook.enabled, false);
+  assert.equal(disabled.body.webhook.sessionIds, null);
+
+  await harness.request('DELETE', `/api/webhooks/${id}`);
+});
+
+test('POST /api/send-media stops downloading a URL without content-length once it is too large', async () => {
+  // Sticker (máx. 500 KB) servido en chunks de 64 KB, sin content-length, hasta 4 MB
+  let written = 0;
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/webp' });
+    const chunk = Buffer.alloc(64 * 1024);
+    const pump = () => {
+      while (written < 4 * 1024 * 1024 && !res.destroyed) {
+        written += chunk.length;
+        if (!res.write(chunk)) return res.once('drain', pump);
+      }
+      res.end();
+    };
+    pump();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { status, body } = await harness.request('POST', '/api/send-media', {
+      phone: '12015550123',
+      type: 'sticker',
+      url: `http://127.0.0.1:${server.address().port}/sticker.webp`,
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /too large/);
+    assert.ok(written < 4 * 1024 * 1024);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('acks only move a message forward, and a late error does not undo a delivery', async () => {
+  const { body } = await harness.request('POST', '/api/send', { phone: '12015550125', message: 'Acuses' });
+  const sent = await waitFor(() => sock.sent.find((item) => item.content.text === 'Acuses'));
+  await waitFor(async () => (await harness.request('GET', `/api/messages/${body.messageId}`)).body.status === 'sent');
+
+  const ack = (status) => sock.ev.emit('messages.update', [{ key: sent.key, update: { status } }]);
+  ack(3);
+  ack(2);
+  ack(0);
+
+  const message = await harness.request('GET', `/api/messages/${body.messageId}`);
+  assert.equal(message.body.status, 'delivered');
+  assert.ok(message.body.deliveredAt);
+});
+
+test('group participants are validated like any other recipient', async () => {
+  const created = await harness.request('POST', '/api/groups', { subject: 'Equipo', participants: ['12015550123', { phone: 1 }] });
+  assert.equal(created.status, 400);
+
+  const updated = await harness.request('POST', '/api/groups/120363000000000001/participants', { action: 'add', participants: [42] });
+  assert.equal(updated.status, 400);
+  assert.match(updated.body.error, /Invalid phone number/);
+});
+
+test('PUT /api/rules rejects rules that are not objects', async () => {
+  const nullRule = await harness.request('PUT', '/api/rules', { rules: [null] });
+  assert.equal(nullRule.status, 400);
+  assert.equal(nullRule.body.error, 'rules[0] must be an object');
+
+  const badMatch = await harness.request('PUT', '/api/rules', { rules: [{ match: 'hola', reply: { text: 'Hola' } }] });
+  assert.equal(badMatch.status, 400);
+  assert.equal(badMatch.body.error, 'rules[0].match must be an object');
+});
+
+test('POST /api/send-media refuses URLs on internal addresses and reports network errors as 400', async () => {
+  const send = (url) => harness.request('POST', '/api/send-media', { phone: '12015550123', type: 'image', url });
+
+  for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:3001/health', 'http://[::1]/', 'http://10.0.0.5/a.jpg']) {
+    const { status, body } = await send(url);
+    assert.equal(status, 400, url);
+    assert.match(body.error, /private or local address/);
+  }
+
+  assert.equal((await send('file:///etc/passwd')).status, 400);
+
+  // 127.0.0.1 está permitido en las pruebas (MEDIA_URL_ALLOWED_HOSTS); el puerto 1 rechaza la conexión
+  const refused = await send('http://127.0.0.1:1/a.jpg');
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /Could not download/);
+});
+
+test('POST /api/send-image downloads and validates the image like send-media', async () => {
+  const server = http.createServer((req, res) => {
+    const html = req.url.endsWith('.html');
+    res.writeHead(200, { 'Content-Type': html ? 'text/html' : 'image/jpeg' });
+    res.end(html ? '<html></html>' : 'jpeg bytes');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const page = await harness.request('POST', '/api/send-image', { phone: '12015550123', imageUrl: `${base}/page.html` });
+    assert.equal(page.status, 400);
+    assert.match(page.body.error, /Invalid mimetype/);
+
+    const ok = await harness.request('POST', '/api/send-image', { phone: '12015550123', imageUrl: `${base}/foto.jpg`, caption: 'Foto' });
+    assert.equal(ok.status, 200);
+
+    const sent = await waitFor(() => sock.sent.find((item) => item.content.caption === 'Foto'));
+    assert.equal(sent.content.mimetype, 'image/jpeg');
+    assert.notEqual(sent.content.image.url, `${base}/foto.jpg`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('GET /metrics exposes Prometheus counters', async () => {
+  const { status, headers, body } = await harness.request('GET', '/metrics');
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/plain/);
+  assert.match(body, /whatsapp_messages_sent_total\{session="default",type="text"\} \d+/);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { addRecurrence } = require('../src/scheduler');
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(() => harness.close());
+
+function months(sendAt, count) {
+  const anchorDay = new Date(sendAt).getUTCDate();
+  const dates = [];
+  let next = sendAt;
+  for (let i = 0; i < count; i++) {
+    next = addRecurrence(next, 'monthly', anchorDay).toISOString();
+    dates.push(next);
+  }
+  return dates;
+}
+
+test('monthly recurrences keep the original day, clamped to short months', () => {
+  assert.deepEqual(months('2025-01-31T15:00:00.000Z', 3), [
+    '2025-02-28T15:00:00.000Z',
+    '2025-03-31T15:00:00.000Z',
+    '2025-04-30T15:00:00.000Z',
+  ]);
+  assert.deepEqual(months('2024-01-31T15:00:00.000Z', 2), [
+    '2024-02-29T15:00:00.000Z',
+    '2024-03-31T15:00:00.000Z',
+  ]);
+});
+
+test('monthly recurrences roll over the year', () => {
+  assert.deepEqual(months('2025-12-31T09:30:00.000Z', 2), [
+    '2026-01-31T09:30:00.000Z',
+    '2026-02-28T09:30:00.000Z',
+  ]);
+});
+
+test('daily and weekly recurrences add whole days', () => {
+  assert.equal(addRecurrence('2025-01-31T15:00:00.000Z', 'daily').toISOString(), '2025-02-01T15:00:00.000Z');
+  assert.equal(addRecurrence('2025-01-31T15:00:00.000Z', 'weekly').toISOString(), '2025-02-07T15:00:00.000Z');
+});
+
+test('recurrences with a timezone keep the local time across DST changes', () => {
+  // 9:00 en Nueva York: EDT (UTC-4) hasta el 2 de noviembre, EST (UTC-5) después
+  assert.equal(addRecurrence('2025-11-01T13:00:00.000Z', 'daily', undefined, 'America/New_York').toISOString(), '2025-11-02T14:00:00.000Z');
+  assert.equal(addRecurrence('2025-10-28T13:00:00.000Z', 'weekly', undefined, 'America/New_York').toISOString(), '2025-11-04T14:00:00.000Z');
+  assert.equal(addRecurrence('2025-02-28T14:00:00.000Z', 'monthly', 28, 'America/New_York').toISOString(), '2025-03-28T13:00:00.000Z');
+  // El día del mes es el local: 31-ene 20:00 en México es 1-feb en UTC
+  assert.equal(addRecurrence('2025-02-01T02:00:00.000Z', 'monthly', 31, 'America/Mexico_City').toISOString(), '2025-03-01T02:00:00.000Z');
+});
+
+test('scheduled messages reject unknown timezones', async () => {
+  const res = await harness.request('POST', '/api/scheduled', {
+    phone: '5215512345678',
+    message: 'Hola',
+    sendAt: '2030-01-01T09:00:00Z',
+    recurrence: 'daily',
+    timezone: 'Mars/Olympus_Mons',
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Unknown timezone: Mars/Olympus_Mons');
+});